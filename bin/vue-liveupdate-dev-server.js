@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Serves a scene file over the live update protocol, in place of a director, for developing offline.
+import { parseArgs } from 'node:util';
+
+const usage = `Usage: vue-liveupdate-dev-server <scene file> [options]
+
+Serves the objects of a JSON, YAML or JavaScript scene file over the live update protocol.
+
+Options:
+  -p, --port <port>            Port to listen on (default: 8080)
+      --host <host>            Host to listen on (default: localhost)
+      --update-frequency <ms>  Update frequency of subscriptions which don't configure one (default: 0)
+  -h, --help                   Show this help`;
+
+// The dev server's packages are optional peer dependencies, so that browser apps don't install them.
+async function loadDevServer() {
+    try {
+        return await import('../src/server/devServer.js');
+    } catch (err) {
+        const missing = err.code === 'ERR_MODULE_NOT_FOUND' && err.message.match(/package '(ws|yaml)'/)?.[1];
+        if (missing) {
+            throw new Error(`The dev server needs the '${missing}' package. Install it with: npm install --save-dev ws yaml`);
+        }
+        throw err;
+    }
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            port: { type: 'string', short: 'p', default: '8080' },
+            host: { type: 'string', default: 'localhost' },
+            'update-frequency': { type: 'string', default: '0' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    if (values.help || positionals.length !== 1) {
+        console.log(usage);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const port = Number(values.port);
+    const updateFrequencyMs = Number(values['update-frequency']);
+    if (!Number.isInteger(port) || port < 0) {
+        throw new Error(`Invalid port: ${values.port}`);
+    }
+    if (!(updateFrequencyMs >= 0)) {
+        throw new Error(`Invalid update frequency: ${values['update-frequency']}`);
+    }
+
+    const { loadScene, startDevServer } = await loadDevServer();
+    const scene = await loadScene(positionals[0]);
+    const server = await startDevServer(scene, { port, host: values.host, updateFrequencyMs });
+    console.log(`Serving ${Object.keys(scene.objects).length} objects from ${positionals[0]} at ${server.url}`);
+    console.log(`Connect with director '${values.host}:${server.port}'`);
+
+    const stop = () => server.close().then(() => process.exit(0));
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+}
+
+main().catch((err) => {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -2,42 +2,98 @@ import vue from 'rollup-plugin-vue';
 import postcss from 'rollup-plugin-postcss';
 import copy from 'rollup-plugin-copy';
 import typescript from '@rollup/plugin-typescript';
+import { nodeResolve } from '@rollup/plugin-node-resolve';
+import { fileURLToPath } from 'node:url';
 
-export default {
+// The testing entry point uses the plugin from the main bundle, rather than a copy of it,
+// so that the instance it provides can be injected by the application's components.
+const liveUpdatePlugin = fileURLToPath(new URL('src/plugin/liveUpdatePlugin.js', import.meta.url));
+
+// The plugins of the library's bundles.
+const libraryPlugins = () => [
+  // Disable Vue's built-in CSS handling so that CSS gets passed on to postcss.
+  vue({
+    css: false
+  }),
+  // Process and inline CSS into the JS bundle.
+  postcss({
+    inject: true, // Inject CSS into the JavaScript bundle
+    extract: false // Do not create a separate CSS file
+  }),
+  typescript({
+    exclude: ['test-d/**/*'], // Exclude test-d folder
+  })
+];
+
+export default [{
+  input: 'src/index.js',
+  output: {
+    file: 'dist/vue-liveupdate.esm.js',
+    format: 'esm'
+  },
+  external: ['vue', '@vueuse/core', '@vue/devtools-api'],
+  plugins: [
+    ...libraryPlugins(),
+    copy({
+      targets: [
+        { src: 'src/index.d.ts', dest: 'dist' }
+      ]
+    })
+  ]
+}, {
+  // The devtools API is bundled, as it has no global of its own for script tags to load.
   input: 'src/index.js',
+  output: {
+    // .cjs, so that Node loads it as CommonJS in this "type": "module" package.
+    file: 'dist/vue-liveupdate.umd.cjs',
+    format: 'umd',
+    name: 'VueLiveUpdate',
+    globals: {
+      vue: 'Vue',
+      '@vueuse/core': 'VueUseCore'
+    }
+  },
+  external: ['vue', '@vueuse/core'],
+  plugins: [
+    nodeResolve(),
+    ...libraryPlugins()
+  ]
+}, {
+  // The client on its own, for tools which don't use Vue.
+  input: 'src/client/index.js',
   output: [
     {
-      file: 'dist/vue-liveupdate.esm.js',
+      file: 'dist/client/index.esm.js',
       format: 'esm'
     },
     {
-      file: 'dist/vue-liveupdate.umd.js',
-      format: 'umd',
-      name: 'VueLiveUpdate',
-      globals: {
-        vue: 'Vue',
-        '@vueuse/core': 'VueUseCore'
-      }
+      file: 'dist/client/index.cjs',
+      format: 'cjs'
     }
   ],
-  external: ['vue', '@vueuse/core'],
   plugins: [
-    // Disable Vue's built-in CSS handling so that CSS gets passed on to postcss.
-    vue({
-      css: false
-    }),
-    // Process and inline CSS into the JS bundle.
-    postcss({
-      inject: true, // Inject CSS into the JavaScript bundle
-      extract: false // Do not create a separate CSS file
-    }),
-    typescript({
-      exclude: ['test-d/**/*'], // Exclude test-d folder
-    }),
     copy({
       targets: [
-        { src: 'src/index.d.ts', dest: 'dist' }
+        { src: 'src/client/index.d.ts', dest: 'dist/client' }
+      ]
+    })
+  ]
+}, {
+  input: 'src/testing/index.js',
+  output: {
+    file: 'dist/testing/index.esm.js',
+    format: 'esm',
+    paths: {
+      [liveUpdatePlugin]: '@disguise-one/vue-liveupdate'
+    }
+  },
+  external: ['vue', '@vue/test-utils', liveUpdatePlugin],
+  makeAbsoluteExternalsRelative: false,
+  plugins: [
+    copy({
+      targets: [
+        { src: 'src/testing/index.d.ts', dest: 'dist/testing' }
       ]
     })
   ]
-};
+}];
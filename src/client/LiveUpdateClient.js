@@ -0,0 +1,1244 @@
+// LiveUpdateClient.js
+import { createRecordingSocket, validateReplay } from '../recording/recordingSocket'
+import { isPlainObject, mergeWrittenValue } from './partialSet.js'
+
+// Configuration keys which are sent to the server with each subscription.
+export const serverConfigKeys = ['updateFrequencyMs'];
+// Configuration keys which may be given to individual subscriptions.
+export const subscriptionConfigKeys = [...serverConfigKeys, 'writeTimeoutMs', 'writeIntervalMs'];
+// Configuration keys which may only be given to the client.
+export const clientConfigKeys = [...subscriptionConfigKeys, 'reconnect', 'heartbeat', 'secure', 'path', 'offlineWrites', 'replay', 'WebSocket', 'createWebSocket'];
+const replayConfigKeys = ['recording', 'loop', 'speed'];
+
+const offlineWritePolicies = ['drop', 'latest', 'all'];
+
+const defaultPath = '/api/session/liveupdate';
+
+const defaultReconnectPolicy = {
+    initialDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 30000,
+    jitter: 0.2,
+    maxAttempts: Infinity
+};
+
+const defaultHeartbeatPolicy = {
+    intervalMs: 5000,
+    timeoutMs: 15000
+};
+// The protocol has no ping, so an empty unsubscribe is used instead. The server answers it with its subscription list.
+const heartbeatMessage = { unsubscribe: { ids: [] } };
+// Message and byte rates are averaged over this window.
+const rateWindowMs = 1000;
+
+const textEncoder = new TextEncoder();
+
+// The server's default, and highest, update frequency.
+const defaultUpdateFrequencyMs = 50;
+
+const defaultWriteTimeoutMs = 2000;
+const defaultWriteIntervalMs = 'frame';
+// Used to order an animation frame against timed flushes, and as its fallback where there are no frames.
+const frameDurationMs = 16;
+
+// Describes the close code of a WebSocket close event.
+const closeReasons = {
+    1000: 'Normal closure',
+    1001: 'Going away',
+    1002: 'Protocol error',
+    1003: 'Unsupported data',
+    1005: 'No status code',
+    1006: 'Could not establish connection',
+    1007: 'Invalid data',
+    1008: 'Policy violation',
+    1009: 'Message too big',
+    1010: 'Extension required',
+    1011: 'Internal error',
+    1015: 'TLS handshake'
+};
+
+/**
+ * Throws if the configuration has any keys other than those allowed.
+ * @param {Object} [configuration] - The configuration to check.
+ * @param {string[]} allowedConfigKeys - The keys allowed.
+ * @param {string} [context='configuration'] - What the configuration is for, used in errors.
+ */
+export function validateConfiguration(configuration, allowedConfigKeys, context = 'configuration') {
+    if (!configuration) return;
+
+    const invalidKeys = Object.keys(configuration).filter(key => !allowedConfigKeys.includes(key));
+    if (invalidKeys.length > 0) {
+        console.error(`Invalid ${context} keys: ${invalidKeys.join(', ')}. Allowed keys: ${allowedConfigKeys.join(', ')}`);
+        throw new Error(`Invalid ${context} keys: ${invalidKeys.join(', ')}`);
+    }
+}
+
+/**
+ * Returns a copy of the configuration containing only the given keys.
+ * @param {Object} [configuration] - The configuration.
+ * @param {string[]} keys - The keys to keep.
+ * @returns {Object} - The keys of the configuration which are set.
+ */
+export function pickConfiguration(configuration, keys) {
+    const picked = {};
+    keys.forEach((key) => {
+        if (configuration && configuration[key] !== undefined) {
+            picked[key] = configuration[key];
+        }
+    });
+    return picked;
+}
+
+// Calls back on the next animation frame, or after the delay. Returns a function which cancels the call.
+function scheduleCallback(useFrame, delayMs, callback) {
+    if (useFrame && typeof requestAnimationFrame === 'function') {
+        const handle = requestAnimationFrame(callback);
+        return () => cancelAnimationFrame(handle);
+    }
+    const handle = setTimeout(callback, delayMs);
+    return () => clearTimeout(handle);
+}
+
+// Builds the WebSocket URL for a director, which may be a host, host:port, or a full URL.
+function buildSocketUrl(director, { secure = 'auto', path = defaultPath }) {
+    if (typeof director !== 'string') {
+        throw new Error(`Invalid director '${director}'. Expected a string.`);
+    }
+    if (![true, false, 'auto'].includes(secure)) {
+        throw new Error(`Invalid 'secure' option: ${secure}. Expected true, false or 'auto'.`);
+    }
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+        throw new Error(`Invalid 'path' option: ${path}. Expected a path starting with '/'.`);
+    }
+
+    if (/^[a-z]+:\/\//i.test(director)) {
+        let url;
+        try {
+            url = new URL(director);
+        } catch (err) {
+            throw new Error(`Invalid director URL '${director}'.`);
+        }
+        const protocol = { 'ws:': 'ws:', 'http:': 'ws:', 'wss:': 'wss:', 'https:': 'wss:' }[url.protocol];
+        if (!protocol) {
+            throw new Error(`Invalid director URL '${director}'. Expected a ws, wss, http or https URL.`);
+        }
+        url.protocol = protocol;
+        // A URL without its own path connects to the usual endpoint.
+        if (url.pathname === '/') {
+            url.pathname = path;
+        }
+        return url.toString();
+    }
+
+    // host or host:port, where host may be a name, IPv4 or bracketed IPv6 address.
+    if (!/^([a-z0-9.-]+|\[[0-9a-f:.]+\])(:\d{1,5})?$/i.test(director)) {
+        throw new Error(`Invalid director '${director}'. Expected host, host:port, or a ws:// or wss:// URL.`);
+    }
+    const useSecure = secure === 'auto'
+        ? globalThis.location?.protocol === 'https:'
+        : secure;
+    return `${useSecure ? 'wss' : 'ws'}://${director}${path}`;
+}
+
+/**
+ * Validates a director, and returns the WebSocket URL a client connects to for it.
+ * @param {string} director - The director: host, host:port, or a full URL.
+ * @param {Object} config - The client configuration, for the `secure` and `path` options.
+ * @returns {string} - The WebSocket URL.
+ */
+export function resolveSocketUrl(director, config) {
+    try {
+        return buildSocketUrl(director, config);
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        throw err;
+    }
+}
+
+// Size of a WebSocket message in bytes.
+function messageByteLength(data) {
+    if (typeof data === 'string') return textEncoder.encode(data).length;
+    return data?.byteLength ?? data?.size ?? 0;
+}
+
+// Whether a value received from the server confirms a write. Objects need only match the written keys,
+// and numbers are compared with a small tolerance as the server may store them at lower precision.
+function matchesWrittenValue(writtenValue, receivedValue) {
+    if (typeof writtenValue === 'number' && typeof receivedValue === 'number') {
+        return Math.abs(writtenValue - receivedValue) <= 1e-6 * Math.max(1, Math.abs(writtenValue), Math.abs(receivedValue));
+    }
+    if (Array.isArray(writtenValue)) {
+        return Array.isArray(receivedValue)
+            && writtenValue.length === receivedValue.length
+            && writtenValue.every((item, index) => matchesWrittenValue(item, receivedValue[index]));
+    }
+    if (isPlainObject(writtenValue)) {
+        return isPlainObject(receivedValue)
+            && Object.keys(writtenValue).every((key) => matchesWrittenValue(writtenValue[key], receivedValue[key]));
+    }
+    return writtenValue === receivedValue;
+}
+
+// Returns a function which opens a WebSocket to a URL, using the given implementation, or the global
+// WebSocket where there is one.
+function socketFactory({ WebSocket: SocketClass, createWebSocket }) {
+    if (SocketClass !== undefined && createWebSocket !== undefined) {
+        console.error("Error: only one of the 'WebSocket' and 'createWebSocket' options may be given.");
+        throw new Error("Only one of the 'WebSocket' and 'createWebSocket' options may be given.");
+    }
+    if (createWebSocket !== undefined) {
+        if (typeof createWebSocket !== 'function') {
+            console.error(`Error: invalid 'createWebSocket' option: ${createWebSocket}. Expected a function.`);
+            throw new Error(`Invalid 'createWebSocket' option: ${createWebSocket}`);
+        }
+        return createWebSocket;
+    }
+
+    const Implementation = SocketClass ?? globalThis.WebSocket;
+    if (typeof Implementation !== 'function') {
+        const error = SocketClass === undefined
+            ? "No WebSocket implementation is available. Pass one with the 'WebSocket' option, such as the one from the 'ws' package."
+            : `Invalid 'WebSocket' option: ${SocketClass}. Expected a WebSocket constructor.`;
+        console.error(`Error: ${error}`);
+        throw new Error(error);
+    }
+    return (url) => new Implementation(url);
+}
+
+/**
+ * A live update connection to a director, without any dependency on Vue. It keeps the subscriptions,
+ * values and writes of every consumer, resubscribes when the connection is re-established, and reports
+ * changes through events. `useLiveUpdate` is a reactive wrapper around it.
+ *
+ * Each property is identified by its key, `${objectPath}/${propertyPath}`. Events:
+ * - `status` (status): the connection status changed to 'CONNECTING', 'OPEN' or 'CLOSED'.
+ * - `connectionInfo` (info): the description of the connection's last problem changed.
+ * - `closeCode` (code): the socket closed unexpectedly with the given close code, or the connection
+ *   opened again (with a null code).
+ * - `lastError` (error): the server sent an error, or the connection opened again (with a null error).
+ * - `reconnect` ({ attempts, nextAt }): an automatic reconnection was scheduled, made or cancelled.
+ * - `health` (health): the connection health changed.
+ * - `message` (direction, message): a message was sent ('out') or received ('in').
+ * - `subscriptions` (subscriptions): the server sent its list of subscriptions.
+ * - `value` ({ key, objectPath, propertyPath, value, updatedAt }): a value was received, or forgotten
+ *   (with an undefined value) once it is no longer subscribed.
+ * - `state` ({ key, state, error }): a property became 'pending', 'active' or 'failed', or was
+ *   forgotten (with a null state) once it has no consumers.
+ * - `write` ({ key, pending, value, error }): a value was written, and is shown until it is confirmed or
+ *   rolled back. Once settled, `pending` is false, and `error` says why it was rolled back, if it was.
+ * - `offlineQueue` (length): the number of writes waiting for the connection changed.
+ * - `error` (error): the server sent an error.
+ */
+export class LiveUpdateClient {
+    #defaults;
+    #offlineWrites;
+    #reconnectPolicy;
+    #heartbeatPolicy;
+    #createSocket;
+    #listeners = new Map(); // event -> Set of listeners
+
+    // Connection state.
+    #socket = null;
+    #status = 'CLOSED';
+    #connectionInfo = '';
+    #closeCode = null;
+    #lastError = null;
+    #closed = true; // whether the connection was closed by `close()`, so is not reconnected
+    #reconnectAttempts = 0;
+    #nextReconnectAt = null;
+    #reconnectTimer = null;
+
+    // Connection health. The heartbeat checks that the server is still answering, as a socket may
+    // stay open long after the other end has stopped responding.
+    #health = {
+        responding: false,
+        latencyMs: null,
+        lastMessageAt: null,
+        messagesIn: 0,
+        messagesOut: 0,
+        bytesIn: 0,
+        bytesOut: 0,
+        messagesInPerSecond: 0,
+        messagesOutPerSecond: 0,
+        bytesInPerSecond: 0,
+        bytesOutPerSecond: 0
+    };
+    #heartbeatTimer = null;
+    #rateTimer = null;
+    #lastHeardAt = 0;
+    #pingSentAt = null; // when the oldest unanswered heartbeat was sent
+    #rateSample = null; // the totals at the start of the current rate window
+
+    // Subscription state.
+    #subscriptions = [];
+    #keyToValue = {};
+    #keyToUpdatedAt = {}; // key -> time (ms since epoch) its value was last received
+    #keyToState = {}; // key -> { state: 'pending' | 'active' | 'failed', error }
+    #keyToId = {};
+    #idToKey = {};
+    #keyToConsumers = {}; // key -> number of consumers
+    #keyToPath = {}; // key -> { objectPath, propertyPath }
+    #releasedIds = new Set(); // ids we have unsubscribed, which the server may still list
+    #objectPathToConfiguration = {};
+
+    // Write state.
+    #keyToWrite = {}; // key -> { value, displayValue, timeoutMs, intervalMs, sent, waiters, sentWrites }
+    #writeTimers = {}; // key -> rollback timeout for a sent write
+    #queuedWrites = new Map(); // key -> { dueAt, frame } for each write waiting to be sent
+    #writeFlush = null; // { dueAt, frame, cancel } for the next flush of queued writes
+    #batchKeys = null; // keys written inside the current batch
+    #offlineQueue = []; // { key, value } for each write waiting for the connection, in order
+    #keyToDroppedWrite = {}; // key -> error of its last write, if it was dropped while disconnected
+
+    /**
+     * Creates a client for a director. It does not connect until `connect()` is called.
+     * @param {string} director - The director to connect to: host, host:port, or a full ws://, wss://, http:// or https:// URL.
+     * May be omitted when playing a recording.
+     * @param {Object} [config] - Optional configuration object, with the options of `useLiveUpdate` other than
+     * `staleAfterMs` and `deep`.
+     */
+    constructor(director, config = {}) {
+        // A director is not needed to play a recording.
+        if (!director && !config.replay) {
+            console.error("Error: 'director' parameter is required.");
+            throw new Error("'director' parameter is required.");
+        }
+
+        validateConfiguration(config, clientConfigKeys, 'configuration');
+        if (config.reconnect) {
+            validateConfiguration(config.reconnect, Object.keys(defaultReconnectPolicy), 'reconnect configuration');
+        }
+        this.#reconnectPolicy = config.reconnect === false
+            ? null
+            : { ...defaultReconnectPolicy, ...config.reconnect };
+        if (config.heartbeat) {
+            validateConfiguration(config.heartbeat, Object.keys(defaultHeartbeatPolicy), 'heartbeat configuration');
+        }
+        this.#heartbeatPolicy = config.heartbeat === false
+            ? null
+            : { ...defaultHeartbeatPolicy, ...config.heartbeat };
+        this.#defaults = pickConfiguration(config, subscriptionConfigKeys);
+        this.#offlineWrites = config.offlineWrites ?? 'latest';
+        if (!offlineWritePolicies.includes(this.#offlineWrites)) {
+            console.error(`Invalid offlineWrites policy: ${this.#offlineWrites}. Allowed policies: ${offlineWritePolicies.join(', ')}`);
+            throw new Error(`Invalid offlineWrites policy: ${this.#offlineWrites}`);
+        }
+
+        if (config.replay) {
+            validateConfiguration(config.replay, replayConfigKeys, 'replay configuration');
+            validateReplay(config.replay);
+        }
+
+        // Validate the director, and work out where to connect to.
+        this.url = director ? resolveSocketUrl(director, config) : config.replay.recording?.url;
+
+        this.#createSocket = config.replay
+            ? () => createRecordingSocket(config.replay.recording, config.replay)
+            : socketFactory(config);
+    }
+
+    /** The connection status: 'CONNECTING', 'OPEN' or 'CLOSED'. */
+    get status() {
+        return this.#status;
+    }
+
+    /** Describes the connection's last problem, such as its close reason. */
+    get connectionInfo() {
+        return this.#connectionInfo;
+    }
+
+    /** The close code of the socket's last unexpected close, or null while the connection is open. */
+    get closeCode() {
+        return this.#closeCode;
+    }
+
+    /** The last error sent by the server since the connection opened, or null. */
+    get lastError() {
+        return this.#lastError;
+    }
+
+    /** The number of automatic reconnection attempts made since the connection was last open. */
+    get reconnectAttempts() {
+        return this.#reconnectAttempts;
+    }
+
+    /** When the next automatic reconnection attempt is due (ms since epoch), or null. */
+    get nextReconnectAt() {
+        return this.#nextReconnectAt;
+    }
+
+    /** A copy of the connection health: whether the server is responding, latency, and traffic. */
+    get health() {
+        return { ...this.#health };
+    }
+
+    /** The subscriptions the server holds, as last listed by it. */
+    get subscriptions() {
+        return this.#subscriptions;
+    }
+
+    /** The number of writes waiting for the connection. */
+    get offlineQueueLength() {
+        return this.#offlineQueue.length;
+    }
+
+    /**
+     * Returns the value of a subscribed property, as last received from the server.
+     * @param {string} key - The property's key.
+     * @returns {*} - The value, or undefined if it has not been received.
+     */
+    getValue(key) {
+        return this.#keyToValue[key];
+    }
+
+    /**
+     * Returns when the value of a subscribed property was last received.
+     * @param {string} key - The property's key.
+     * @returns {number|null} - The time in ms since epoch, or null if it has not been received.
+     */
+    getUpdatedAt(key) {
+        return this.#keyToUpdatedAt[key] ?? null;
+    }
+
+    /**
+     * Returns the state of a subscribed property.
+     * @param {string} key - The property's key.
+     * @returns {Object|null} - `{ state, error }`, or null if the property has no consumers.
+     */
+    getState(key) {
+        return this.#keyToState[key] ? { ...this.#keyToState[key] } : null;
+    }
+
+    /**
+     * Calls the listener with every event of the given name. See the class description for the events.
+     * @param {string} event - The event name.
+     * @param {Function} listener - Called with the event's arguments.
+     * @returns {Function} - Removes the listener.
+     */
+    on(event, listener) {
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, new Set());
+        }
+        this.#listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes a listener added with `on`.
+     * @param {string} event - The event name.
+     * @param {Function} listener - The listener.
+     */
+    off(event, listener) {
+        this.#listeners.get(event)?.delete(listener);
+    }
+
+    #emit(event, ...args) {
+        this.#listeners.get(event)?.forEach((listener) => listener(...args));
+    }
+
+    /**
+     * Opens the connection, closing the current one first. Subscriptions made before connecting, or
+     * while disconnected, are sent once the connection opens.
+     */
+    connect() {
+        this.#closed = false;
+        this.#cancelReconnect();
+        this.#openSocket();
+    }
+
+    /**
+     * Closes the connection, which is not reconnected until `connect()` is called again.
+     */
+    close() {
+        this.#closed = true;
+        this.#cancelReconnect();
+        this.#stopHealthChecks();
+        Object.keys(this.#writeTimers).forEach((key) => clearTimeout(this.#writeTimers[key]));
+        this.#writeFlush?.cancel();
+        this.#writeFlush = null;
+        this.#queuedWrites.clear();
+        this.#closeSocket();
+    }
+
+    #openSocket() {
+        this.#closeSocket();
+        const socket = this.#createSocket(this.url);
+        this.#socket = socket;
+
+        // Events from sockets which have since been replaced are ignored.
+        socket.addEventListener('open', () => {
+            if (socket !== this.#socket) return;
+            this.#setStatus('OPEN');
+        });
+        socket.addEventListener('message', (event) => {
+            if (socket !== this.#socket) return;
+            this.#recordIncoming(event.data);
+            this.#handleMessage(event.data);
+        });
+        socket.addEventListener('error', () => {
+            if (socket !== this.#socket) return;
+            // Usually immediately followed by a close event.
+            // This event contains no information about the error.
+            this.#setConnectionInfo('WebSocket error');
+        });
+        socket.addEventListener('close', (event) => {
+            if (socket !== this.#socket) return;
+            this.#socket = null;
+            this.#setConnectionInfo(closeReasons[event.code] || event.code);
+            this.#setCloseCode(event.code ?? null);
+            this.#setStatus('CLOSED');
+            this.#scheduleReconnect();
+        });
+        this.#setStatus('CONNECTING');
+    }
+
+    // Closing a socket deliberately is not a dropped connection, so it is forgotten before it is closed.
+    #closeSocket() {
+        const socket = this.#socket;
+        if (!socket) return;
+        this.#socket = null;
+        socket.close();
+        this.#setStatus('CLOSED');
+    }
+
+    #setConnectionInfo(info) {
+        if (info === this.#connectionInfo) return;
+        this.#connectionInfo = info;
+        this.#emit('connectionInfo', info);
+    }
+
+    #setCloseCode(code) {
+        if (code === this.#closeCode) return;
+        this.#closeCode = code;
+        this.#emit('closeCode', code);
+    }
+
+    #setLastError(error) {
+        if (error === this.#lastError) return;
+        this.#lastError = error;
+        this.#emit('lastError', error);
+    }
+
+    #setStatus(status) {
+        if (status === this.#status) return;
+        this.#status = status;
+
+        if (status === 'OPEN') {
+            this.#setCloseCode(null);
+            this.#setLastError(null);
+            this.#reconnectAttempts = 0;
+            this.#cancelReconnect();
+            this.#startHealthChecks();
+
+            // Resubscribe to every key which has consumers when the connection is (re-)established.
+            // Subscriptions made while disconnected are not sent, so this includes those too.
+            // group by objectPath.
+            const objectPathToProperties = {};
+            Object.keys(this.#keyToConsumers).forEach((key) => {
+                const { objectPath, propertyPath } = this.#keyToPath[key];
+                if (!objectPathToProperties[objectPath]) {
+                    objectPathToProperties[objectPath] = [];
+                }
+                objectPathToProperties[objectPath].push(propertyPath);
+            });
+            for (const [objectPath, propertyPaths] of Object.entries(objectPathToProperties)) {
+                const configuration = this.#objectPathToConfiguration[objectPath];
+                this.#innerSubscribe(objectPath, propertyPaths, configuration);
+            }
+        } else {
+            this.#stopHealthChecks();
+
+            // Subscription ids only last as long as the connection.
+            this.#keyToId = {};
+            this.#idToKey = {};
+            this.#releasedIds.clear();
+
+            this.#queueOfflineWrites();
+
+            // Values are no longer being received, so wait for the resubscription to confirm them.
+            Object.entries(this.#keyToState).forEach(([key, entry]) => {
+                if (entry.state === 'active') {
+                    this.#setState(key, 'pending', null);
+                }
+            });
+        }
+
+        this.#emit('status', status);
+    }
+
+    #reconnectDelay(attempt) {
+        const { initialDelayMs, multiplier, maxDelayMs, jitter } = this.#reconnectPolicy;
+        const delay = Math.min(initialDelayMs * Math.pow(multiplier, attempt - 1), maxDelayMs);
+        return Math.max(0, delay + delay * jitter * (Math.random() * 2 - 1));
+    }
+
+    #scheduleReconnect() {
+        if (this.#closed || !this.#reconnectPolicy || this.#reconnectTimer !== null) return;
+        if (this.#reconnectAttempts >= this.#reconnectPolicy.maxAttempts) return;
+
+        this.#reconnectAttempts++;
+        const delay = this.#reconnectDelay(this.#reconnectAttempts);
+        this.#nextReconnectAt = Date.now() + delay;
+        this.#reconnectTimer = setTimeout(() => {
+            this.#reconnectTimer = null;
+            this.#nextReconnectAt = null;
+            this.#emitReconnect();
+            this.#openSocket();
+        }, delay);
+        this.#emitReconnect();
+    }
+
+    #cancelReconnect() {
+        if (this.#reconnectTimer !== null) {
+            clearTimeout(this.#reconnectTimer);
+            this.#reconnectTimer = null;
+        }
+        this.#nextReconnectAt = null;
+        this.#emitReconnect();
+    }
+
+    #emitReconnect() {
+        this.#emit('reconnect', { attempts: this.#reconnectAttempts, nextAt: this.#nextReconnectAt });
+    }
+
+    #startHealthChecks() {
+        this.#stopHealthChecks();
+        Object.assign(this.#health, {
+            responding: true,
+            latencyMs: null,
+            messagesIn: 0,
+            messagesOut: 0,
+            bytesIn: 0,
+            bytesOut: 0
+        });
+        this.#lastHeardAt = Date.now();
+        this.#rateSample = { at: this.#lastHeardAt, messagesIn: 0, messagesOut: 0, bytesIn: 0, bytesOut: 0 };
+        this.#rateTimer = setInterval(() => this.#sampleRates(), rateWindowMs);
+        if (this.#heartbeatPolicy) {
+            this.#heartbeatTimer = setInterval(() => this.#sendHeartbeat(), this.#heartbeatPolicy.intervalMs);
+        }
+        this.#emit('health', this.health);
+    }
+
+    #stopHealthChecks() {
+        clearInterval(this.#heartbeatTimer);
+        clearInterval(this.#rateTimer);
+        this.#heartbeatTimer = null;
+        this.#rateTimer = null;
+        this.#pingSentAt = null;
+        Object.assign(this.#health, {
+            responding: false,
+            messagesInPerSecond: 0,
+            messagesOutPerSecond: 0,
+            bytesInPerSecond: 0,
+            bytesOutPerSecond: 0
+        });
+        this.#emit('health', this.health);
+    }
+
+    #sampleRates() {
+        const health = this.#health;
+        const now = Date.now();
+        const seconds = (now - this.#rateSample.at) / 1000;
+        health.messagesInPerSecond = (health.messagesIn - this.#rateSample.messagesIn) / seconds;
+        health.messagesOutPerSecond = (health.messagesOut - this.#rateSample.messagesOut) / seconds;
+        health.bytesInPerSecond = (health.bytesIn - this.#rateSample.bytesIn) / seconds;
+        health.bytesOutPerSecond = (health.bytesOut - this.#rateSample.bytesOut) / seconds;
+        this.#rateSample = {
+            at: now,
+            messagesIn: health.messagesIn,
+            messagesOut: health.messagesOut,
+            bytesIn: health.bytesIn,
+            bytesOut: health.bytesOut
+        };
+        this.#emit('health', this.health);
+    }
+
+    #sendHeartbeat() {
+        if (Date.now() - this.#lastHeardAt > this.#heartbeatPolicy.timeoutMs) {
+            this.#handleUnresponsive();
+            return;
+        }
+        if (this.#pingSentAt === null) {
+            this.#pingSentAt = Date.now();
+        }
+        this.#sendMessage(heartbeatMessage);
+    }
+
+    // Any message shows the server is alive, but only a subscription list can answer the heartbeat.
+    // A reply to an earlier subscribe may arrive first, so the latency is a lower bound.
+    #recordIncoming(data) {
+        const now = Date.now();
+        this.#lastHeardAt = now;
+        this.#health.lastMessageAt = now;
+        this.#health.responding = true;
+        this.#health.messagesIn++;
+        this.#health.bytesIn += messageByteLength(data);
+        this.#emit('health', this.health);
+    }
+
+    #recordHeartbeatReply() {
+        if (this.#pingSentAt === null) return;
+        this.#health.latencyMs = Date.now() - this.#pingSentAt;
+        this.#pingSentAt = null;
+        this.#emit('health', this.health);
+    }
+
+    // Closes a socket which is still open but no longer answering, and reconnects.
+    #handleUnresponsive() {
+        console.warn(`Live Update server has not responded for ${this.#heartbeatPolicy.timeoutMs}ms, reconnecting.`);
+        this.#setConnectionInfo('Not responding');
+        this.#closeSocket();
+        this.#scheduleReconnect();
+    }
+
+    /**
+     * Merges a subscription's configuration over the client's defaults.
+     * @param {Object} [configuration] - The subscription's configuration.
+     * @returns {Object} - `{ serverConfiguration, updateFrequencyMs, writeTimeoutMs, writeIntervalMs }`, where
+     * `serverConfiguration` is the configuration to send with the subscription, or null if there is none.
+     */
+    resolveConfiguration(configuration) {
+        const merged = { ...this.#defaults, ...pickConfiguration(configuration, subscriptionConfigKeys) };
+        const serverConfiguration = pickConfiguration(merged, serverConfigKeys);
+        return {
+            serverConfiguration: Object.keys(serverConfiguration).length > 0 ? serverConfiguration : null,
+            updateFrequencyMs: merged.updateFrequencyMs ?? defaultUpdateFrequencyMs,
+            writeTimeoutMs: merged.writeTimeoutMs ?? defaultWriteTimeoutMs,
+            writeIntervalMs: merged.writeIntervalMs ?? defaultWriteIntervalMs
+        };
+    }
+
+    /**
+     * Subscribes to properties of an object.
+     * @param {string} objectPath - The object path.
+     * @param {string[]} propertyPaths - The property paths.
+     * @param {Object} [configuration] - `updateFrequencyMs`, `writeTimeoutMs` and `writeIntervalMs` for this subscription.
+     * @returns {Object} - `{ keys, set, unsubscribe }`. `keys` maps each property path to its key, `set(propertyPath, value)`
+     * writes a value and resolves once it is confirmed, and `unsubscribe()` ends the subscription.
+     */
+    subscribe(objectPath, propertyPaths, configuration) {
+        validateConfiguration(configuration, subscriptionConfigKeys, 'subscription configuration');
+        const { serverConfiguration, writeTimeoutMs, writeIntervalMs } = this.resolveConfiguration(configuration);
+        const keys = this.retain(objectPath, propertyPaths, serverConfiguration);
+
+        let unsubscribed = false;
+        return {
+            keys,
+            set: (propertyPath, value) => {
+                if (keys[propertyPath] === undefined) {
+                    console.error(`Error: cannot set '${propertyPath}', which is not in this subscription.`);
+                    throw new Error(`Cannot set '${propertyPath}', which is not in this subscription.`);
+                }
+                this.write(keys[propertyPath], value, { timeoutMs: writeTimeoutMs, intervalMs: writeIntervalMs });
+                return this.waitForWrite(keys[propertyPath]);
+            },
+            unsubscribe: () => {
+                if (unsubscribed) return;
+                unsubscribed = true;
+                this.release(Object.values(keys));
+            }
+        };
+    }
+
+    /**
+     * Adds a consumer to properties of an object. Only properties without any other consumers are
+     * subscribed on the server. `subscribe` is usually more convenient.
+     * @param {string} objectPath - The object path.
+     * @param {string[]} propertyPaths - The property paths.
+     * @param {Object|null} [serverConfiguration] - Configuration sent to the server, or null for none. When
+     * omitted, the configuration last given for the object is used.
+     * @returns {Object} - The key of each property, by property path.
+     */
+    retain(objectPath, propertyPaths, serverConfiguration) {
+        if (serverConfiguration) {
+            this.#objectPathToConfiguration[objectPath] = serverConfiguration;
+        }
+        const configuration = serverConfiguration === undefined
+            ? this.#objectPathToConfiguration[objectPath]
+            : serverConfiguration;
+
+        const keys = {};
+        const newPropertyPaths = [];
+        propertyPaths.forEach((propertyPath) => {
+            const key = `${objectPath}/${propertyPath}`;
+            keys[propertyPath] = key;
+            this.#keyToPath[key] = { objectPath, propertyPath };
+            this.#keyToConsumers[key] = (this.#keyToConsumers[key] || 0) + 1;
+            if (this.#keyToConsumers[key] === 1) {
+                newPropertyPaths.push(propertyPath);
+            }
+        });
+        if (newPropertyPaths.length > 0) {
+            this.#innerSubscribe(objectPath, newPropertyPaths, configuration);
+        }
+        return keys;
+    }
+
+    /**
+     * Removes a consumer from each key. Keys left without consumers are unsubscribed on the server, and
+     * keys which have no consumers are ignored.
+     * @param {string[]} keys - The keys, as returned by `retain`.
+     */
+    release(keys) {
+        const releasedKeys = [];
+        keys.forEach((key) => {
+            if (!this.#keyToConsumers[key]) return;
+            this.#keyToConsumers[key]--;
+            if (this.#keyToConsumers[key] === 0) {
+                delete this.#keyToConsumers[key];
+                delete this.#keyToDroppedWrite[key];
+                // A write can no longer be sent or confirmed without a subscription.
+                this.#clearWrite(key, `Write to '${key}' was dropped as it was unsubscribed`);
+                this.#forgetState(key);
+                releasedKeys.push(key);
+            }
+        });
+        this.#unsubscribe(releasedKeys);
+    }
+
+    #innerSubscribe(objectPath, properties, configuration) {
+        const msg = {
+            subscribe: {
+                object: objectPath,
+                properties
+            }
+        };
+
+        if (configuration) {
+            msg.subscribe.configuration = configuration;
+        }
+
+        properties.forEach((propertyPath) => {
+            this.#setState(`${objectPath}/${propertyPath}`, 'pending', null);
+        });
+
+        // While disconnected, the subscription is sent when the connection opens.
+        if (this.#status === 'OPEN') {
+            this.#sendMessage(msg);
+        }
+    }
+
+    #unsubscribe(keys) {
+        const ids = [];
+        keys.forEach((key) => {
+            const id = this.#keyToId[key];
+            if (id !== undefined && !this.#releasedIds.has(id)) {
+                ids.push(id);
+                this.#releasedIds.add(id);
+            }
+        });
+        if (ids.length > 0) {
+            const msg = { unsubscribe: { ids } };
+            this.#sendMessage(msg);
+        }
+    }
+
+    #setState(key, state, error) {
+        this.#keyToState[key] = { state, error };
+        this.#emit('state', { key, state, error });
+    }
+
+    #forgetState(key) {
+        if (!this.#keyToState[key]) return;
+        delete this.#keyToState[key];
+        this.#emit('state', { key, state: null, error: null });
+    }
+
+    #setValue(key, value, updatedAt) {
+        if (value === undefined) {
+            delete this.#keyToValue[key];
+            delete this.#keyToUpdatedAt[key];
+        } else {
+            this.#keyToValue[key] = value;
+            this.#keyToUpdatedAt[key] = updatedAt;
+        }
+        const { objectPath, propertyPath } = this.#keyToPath[key] ?? {};
+        this.#emit('value', { key, objectPath, propertyPath, value, updatedAt });
+    }
+
+    // Finds the keys an error message refers to. Errors do not carry an id, so we look for
+    // the candidate keys' property paths in the message, preferring the most specific match.
+    #keysMatchingError(message, candidateKeys) {
+        let matches = [];
+        let matchLength = 0;
+        candidateKeys.forEach((key) => {
+            const { propertyPath } = this.#keyToPath[key];
+            if (!message.includes(propertyPath) || propertyPath.length < matchLength) return;
+            if (propertyPath.length > matchLength) {
+                matches = [];
+                matchLength = propertyPath.length;
+            }
+            matches.push(key);
+        });
+
+        // The same property path may be pending on several objects.
+        const objectMatches = matches.filter((key) => message.includes(this.#keyToPath[key].objectPath));
+        return objectMatches.length > 0 ? objectMatches : matches;
+    }
+
+    /**
+     * Writes a value to a subscribed property. The value is shown (in `write` events) immediately, and
+     * sent once the property's subscription id is known.
+     * @param {string} key - The property's key.
+     * @param {*} value - The value. Objects may be partial, setting only the properties given.
+     * @param {Object} [options] - `timeoutMs` to wait for the server to confirm the value before rolling it
+     * back, and `intervalMs` (or 'frame') between set messages, defaulting to the client's configuration.
+     */
+    write(key, value, { timeoutMs, intervalMs } = {}) {
+        delete this.#keyToDroppedWrite[key];
+        if (this.#status !== 'OPEN' && this.#offlineWrites === 'drop') {
+            console.warn(`Live Update is not connected, dropping write to '${key}'.`);
+            // Recorded, so that `waitForWrite` (and so `set` and `batch`) reject.
+            const error = `Write to '${key}' was dropped as Live Update is not connected`;
+            this.#keyToDroppedWrite[key] = error;
+            this.#batchKeys?.add(key);
+            this.#emit('write', { key, pending: false, value: this.#keyToValue[key], error });
+            return;
+        }
+
+        // Only the latest value is sent, so partial object writes which have not been sent yet are combined.
+        const previousWrite = this.#keyToWrite[key];
+        const combinedValue = previousWrite && !previousWrite.sent && isPlainObject(previousWrite.value) && isPlainObject(value)
+            ? { ...previousWrite.value, ...value }
+            : value;
+        // A replaced write which was sent keeps its value and waiters, so that its echo still settles them.
+        // Its rollback timer is stopped, as the new value may wait longer to be sent, and is timed once it is.
+        let waiters = previousWrite?.waiters ?? [];
+        let sentWrites = previousWrite?.sentWrites ?? [];
+        if (previousWrite?.sent) {
+            clearTimeout(this.#writeTimers[key]);
+            delete this.#writeTimers[key];
+            sentWrites = [...sentWrites, { value: previousWrite.value, waiters }];
+            waiters = [];
+        }
+        const write = {
+            value: combinedValue,
+            displayValue: mergeWrittenValue(previousWrite ? previousWrite.displayValue : this.#keyToValue[key], value),
+            timeoutMs: timeoutMs ?? this.#defaults.writeTimeoutMs ?? defaultWriteTimeoutMs,
+            intervalMs: intervalMs ?? this.#defaults.writeIntervalMs ?? defaultWriteIntervalMs,
+            sent: false,
+            waiters,
+            sentWrites
+        };
+        this.#keyToWrite[key] = write;
+        this.#emit('write', { key, pending: true, value: write.displayValue, error: null });
+        this.#batchKeys?.add(key);
+        if (this.#status === 'OPEN') {
+            this.#sendWrites([key]);
+        } else {
+            this.#enqueueOfflineWrite(key, this.#offlineWrites === 'latest' ? combinedValue : value);
+        }
+    }
+
+    #enqueueOfflineWrite(key, value) {
+        if (this.#offlineWrites === 'latest') {
+            this.#removeOfflineWrites(key);
+        }
+        this.#offlineQueue.push({ key, value });
+        this.#emit('offlineQueue', this.#offlineQueue.length);
+    }
+
+    #removeOfflineWrites(key) {
+        const length = this.#offlineQueue.length;
+        this.#offlineQueue = this.#offlineQueue.filter((entry) => entry.key !== key);
+        if (this.#offlineQueue.length !== length) {
+            this.#emit('offlineQueue', this.#offlineQueue.length);
+        }
+    }
+
+    // Called when the connection is lost. Writes which are unsent, or sent but unconfirmed, may not
+    // have reached the server, so they are queued to be sent again (or dropped, by that policy).
+    #queueOfflineWrites() {
+        Object.keys(this.#keyToWrite).forEach((key) => {
+            if (this.#offlineWrites === 'drop') {
+                this.#clearWrite(key, `Write to '${key}' was dropped as the connection was lost`);
+                return;
+            }
+
+            const write = this.#keyToWrite[key];
+            clearTimeout(this.#writeTimers[key]);
+            delete this.#writeTimers[key];
+            write.sent = false;
+            if (!this.#offlineQueue.some((entry) => entry.key === key)) {
+                this.#enqueueOfflineWrite(key, write.value);
+            }
+        });
+    }
+
+    // Sends the queued writes whose keys have been resubscribed. With the 'all' policy, each earlier
+    // value of a key is sent in order, in messages holding at most one value per id. The latest value of
+    // each key is then sent as an ordinary write, so that it is confirmed or rolled back.
+    #replayOfflineWrites() {
+        const keyToValues = {};
+        const remaining = this.#offlineQueue.filter(({ key, value }) => {
+            if (this.#keyToId[key] === undefined) return true;
+            if (!keyToValues[key]) {
+                keyToValues[key] = [];
+            }
+            keyToValues[key].push(value);
+            return false;
+        });
+        if (remaining.length !== this.#offlineQueue.length) {
+            this.#offlineQueue = remaining;
+            this.#emit('offlineQueue', remaining.length);
+        }
+
+        const rounds = [];
+        Object.entries(keyToValues).forEach(([key, values]) => {
+            // The latest write, which may combine several partial values, covers the last value.
+            if (this.#keyToWrite[key] && matchesWrittenValue(values[values.length - 1], this.#keyToWrite[key].value)) {
+                values.pop();
+            }
+            values.forEach((value, round) => {
+                if (!rounds[round]) {
+                    rounds[round] = [];
+                }
+                rounds[round].push({ id: this.#keyToId[key], value });
+            });
+        });
+        rounds.forEach((values) => this.#setValues(values));
+    }
+
+    // Queues writes to be sent once their own interval has passed. A queued key keeps its due time as
+    // it is written again, and only its latest value is sent.
+    #sendWrites(keys) {
+        keys.forEach((key) => {
+            const write = this.#keyToWrite[key];
+            if (!write || write.sent || this.#keyToId[key] === undefined || this.#queuedWrites.has(key)) return;
+
+            const frame = write.intervalMs === 'frame';
+            this.#queuedWrites.set(key, { frame, dueAt: Date.now() + (frame ? frameDurationMs : write.intervalMs) });
+        });
+        this.#scheduleWriteFlush();
+    }
+
+    // Schedules the next flush for the earliest queued write.
+    #scheduleWriteFlush() {
+        let next = null;
+        this.#queuedWrites.forEach((entry) => {
+            if (!next || entry.dueAt < next.dueAt) {
+                next = entry;
+            }
+        });
+        if (!next || (this.#writeFlush && this.#writeFlush.dueAt <= next.dueAt)) return;
+
+        this.#writeFlush?.cancel();
+        const delayMs = Math.max(0, next.dueAt - Date.now());
+        this.#writeFlush = { dueAt: next.dueAt, frame: next.frame, cancel: scheduleCallback(next.frame, delayMs, () => this.#flushWrites()) };
+    }
+
+    // Sends the queued writes which are due, or every queued write when `all` is set. Writes with a
+    // longer interval are held back, so they are not sent at the rate of others.
+    #flushWrites(all = false) {
+        const onFrame = this.#writeFlush?.frame ?? false;
+        this.#writeFlush = null;
+        const now = Date.now();
+        const newValues = [];
+        this.#queuedWrites.forEach(({ dueAt, frame }, key) => {
+            if (!all && dueAt > now && !(onFrame && frame)) return;
+            this.#queuedWrites.delete(key);
+
+            const write = this.#keyToWrite[key];
+            const id = this.#keyToId[key];
+            // Writes whose id has gone are sent again once the key is resubscribed.
+            if (!write || write.sent || id === undefined) return;
+
+            write.sent = true;
+            newValues.push({ id, value: write.value });
+            clearTimeout(this.#writeTimers[key]);
+            this.#writeTimers[key] = setTimeout(() => {
+                console.warn(`Live Update write to '${key}' was not confirmed, rolling back.`);
+                this.#clearWrite(key, `Write to '${key}' was not confirmed`);
+            }, write.timeoutMs);
+        });
+        this.#setValues(newValues);
+        this.#scheduleWriteFlush();
+    }
+
+    // Removes the optimistic value, revealing the server's value. This confirms a write, or rolls it back
+    // when given an error.
+    #clearWrite(key, error = null) {
+        clearTimeout(this.#writeTimers[key]);
+        delete this.#writeTimers[key];
+        const write = this.#keyToWrite[key];
+        delete this.#keyToWrite[key];
+        this.#removeOfflineWrites(key);
+        if (!write) return;
+        this.#emit('write', { key, pending: false, value: this.#keyToValue[key], error });
+
+        // Earlier writes which were sent but not confirmed settle with the latest.
+        [...write.sentWrites.flatMap((sentWrite) => sentWrite.waiters), ...write.waiters].forEach((waiter) => waiter(error));
+    }
+
+    /**
+     * Waits for the write to a property to settle.
+     * @param {string} key - The property's key.
+     * @returns {Promise<void>} - Resolves once the write is confirmed (or at once if there is none), or
+     * rejects with the error it was rolled back or dropped for.
+     */
+    waitForWrite(key) {
+        if (this.#keyToDroppedWrite[key]) {
+            return Promise.reject(new Error(this.#keyToDroppedWrite[key]));
+        }
+        if (!this.#keyToWrite[key]) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            this.#keyToWrite[key].waiters.push((error) => error ? reject(new Error(error)) : resolve());
+        });
+    }
+
+    /**
+     * Sends every value written inside the callback together, as one set message.
+     * Only writes made synchronously within the callback are included.
+     * @param {Function} callback - Writes any values.
+     * @returns {Promise<void>} - Resolves when every written value has been confirmed by the server,
+     * or rejects once they have all settled if any was rolled back.
+     */
+    batch(callback) {
+        const outerBatchKeys = this.#batchKeys;
+        const keys = new Set();
+        this.#batchKeys = keys;
+        try {
+            callback();
+        } finally {
+            this.#batchKeys = outerBatchKeys;
+            if (outerBatchKeys) {
+                // A nested batch is sent with the outermost one.
+                keys.forEach((key) => outerBatchKeys.add(key));
+            } else {
+                this.#writeFlush?.cancel();
+                this.#flushWrites(true);
+            }
+        }
+
+        return Promise.allSettled([...keys].map((key) => this.waitForWrite(key))).then((results) => {
+            const errors = results.filter(({ status }) => status === 'rejected').map(({ reason }) => reason.message);
+            if (errors.length > 0) {
+                throw new Error(`Batch write failed: ${errors.join('; ')}`);
+            }
+        });
+    }
+
+    #sendMessage(msg) {
+        if (this.#status !== 'OPEN') return;
+        this.#emit('message', 'out', msg);
+        const data = JSON.stringify(msg);
+        this.#health.messagesOut++;
+        this.#health.bytesOut += messageByteLength(data);
+        this.#emit('health', this.health);
+        this.#socket.send(data);
+    }
+
+    #setValues(newValues) {
+        const setMessages = [];
+        newValues.forEach(({ id, value }) => {
+            setMessages.push({ id, value });
+        });
+        if (setMessages.length > 0) {
+            const msg = { set: setMessages };
+            this.#sendMessage(msg);
+        }
+    }
+
+    #handleMessage(newMessage) {
+        if (!newMessage) return;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(newMessage);
+        } catch (err) {
+            console.error("Error parsing Live Update message:", newMessage);
+            return;
+        }
+        this.#emit('message', 'in', parsed);
+
+        if (parsed.error) {
+            console.error("Live Update Error:", parsed.error);
+            const error = String(parsed.error);
+            this.#setLastError(error);
+            const pendingKeys = Object.keys(this.#keyToState).filter((key) => this.#keyToState[key].state === 'pending');
+            const failedKeys = this.#keysMatchingError(error, pendingKeys);
+            failedKeys.forEach((key) => {
+                this.#setState(key, 'failed', error);
+                this.#clearWrite(key, error);
+            });
+
+            // Otherwise the error is likely a rejected write. Roll back the writes it names,
+            // or every write awaiting confirmation if it cannot be attributed.
+            if (failedKeys.length === 0) {
+                const sentKeys = Object.keys(this.#keyToWrite).filter((key) => this.#keyToWrite[key].sent);
+                const rejectedKeys = this.#keysMatchingError(error, sentKeys);
+                (rejectedKeys.length > 0 ? rejectedKeys : sentKeys).forEach((key) => this.#clearWrite(key, error));
+            }
+            this.#emit('error', error);
+            return;
+        }
+
+        if (parsed.subscriptions) {
+            this.#recordHeartbeatReply();
+            this.#subscriptions = parsed.subscriptions;
+
+            this.#keyToId = {};
+            this.#idToKey = {};
+            this.#subscriptions.forEach(({ id, objectPath, propertyPath }) => {
+                const key = `${objectPath}/${propertyPath}`;
+                this.#keyToId[key] = id;
+                this.#idToKey[id] = key;
+                this.#keyToPath[key] = { objectPath, propertyPath };
+            });
+            this.#emit('subscriptions', this.#subscriptions);
+
+            // Forget released ids once the server stops listing them, and release any key which the
+            // server has subscribed since its last consumer went away.
+            this.#releasedIds.forEach((id) => {
+                if (this.#idToKey[id] === undefined) {
+                    this.#releasedIds.delete(id);
+                }
+            });
+            this.#unsubscribe(Object.keys(this.#keyToId).filter((key) => !this.#keyToConsumers[key]));
+
+            // Confirm requested keys, and forget active keys which are no longer subscribed
+            Object.keys(this.#keyToId).forEach((key) => {
+                if (this.#keyToState[key]?.state !== 'active') {
+                    this.#setState(key, 'active', null);
+                }
+            });
+            Object.entries(this.#keyToState).forEach(([key, entry]) => {
+                if (entry.state === 'active' && this.#keyToId[key] === undefined) {
+                    this.#forgetState(key);
+                }
+            });
+
+            // Forget the values of unsubscribed keys
+            Object.keys(this.#keyToValue).forEach((key) => {
+                if (this.#keyToId[key] === undefined) {
+                    this.#setValue(key, undefined, null);
+                }
+            });
+
+            // Send writes which were made while disconnected, or before their subscription id was known
+            this.#replayOfflineWrites();
+            this.#sendWrites(Object.keys(this.#keyToWrite));
+        }
+
+        if (parsed.valuesChanged) {
+            parsed.valuesChanged.forEach((change) => {
+                const key = this.#idToKey[change.id];
+                if (key === undefined) return;
+                this.#setValue(key, change.value, Date.now());
+
+                const write = this.#keyToWrite[key];
+                if (!write) return;
+                if (write.sent && matchesWrittenValue(write.value, change.value)) {
+                    this.#clearWrite(key);
+                    return;
+                }
+                // The echo of a replaced write settles it, and those sent before it, while the latest stays pending.
+                const echoed = write.sentWrites.findLastIndex((sentWrite) => matchesWrittenValue(sentWrite.value, change.value));
+                write.sentWrites.splice(0, echoed + 1).forEach((sentWrite) => sentWrite.waiters.forEach((waiter) => waiter(null)));
+            });
+        }
+    }
+}
@@ -0,0 +1,15 @@
+export { LiveUpdateClient, recordingFormat, valueCodecs } from '../index';
+export type {
+    BuiltInCodecName,
+    ClientSubscription,
+    ConnectionStatus,
+    LiveUpdateClientConfiguration,
+    LiveUpdateClientEvents,
+    LiveUpdateHealth,
+    LiveUpdateRecording,
+    ReconnectConfiguration,
+    Subscription,
+    SubscriptionConfiguration,
+    ValueCodec,
+    WebSocketLike
+} from '../index';
@@ -0,0 +1,4 @@
+// The entry point for use without Vue, which imports nothing from Vue or its libraries.
+export { LiveUpdateClient } from './LiveUpdateClient';
+export { valueCodecs } from '../codecs/valueCodecs';
+export { recordingFormat } from '../recording/liveUpdateRecorder';
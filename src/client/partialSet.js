@@ -0,0 +1,14 @@
+// partialSet.js
+// Shared by the client and the servers in Node, so imports of it keep their `.js` extension.
+
+export function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// The value held after a set. Objects are merged, as partial sets are.
+export function mergeWrittenValue(currentValue, writtenValue) {
+    if (isPlainObject(currentValue) && isPlainObject(writtenValue)) {
+        return { ...currentValue, ...writtenValue };
+    }
+    return writtenValue;
+}
@@ -0,0 +1,165 @@
+// valueCodecs.js
+
+/**
+ * A codec converts a property between the value sent by Designer and the form a component works with.
+ * `decode(value)` is given the value received from the server. `encode(value, currentValue)` is given the
+ * value assigned to the ref, and the server's current value, so that it can be written back in the same shape.
+ */
+
+// Vectors arrive either as objects ({ x, y, z }) or as arrays ([x, y, z]), and are decoded to objects.
+function vectorCodec(axes) {
+    return {
+        decode(value) {
+            const vector = {};
+            axes.forEach((axis, index) => {
+                vector[axis] = Array.isArray(value) ? value[index] : value?.[axis];
+            });
+            return vector;
+        },
+        encode(value, currentValue) {
+            const vector = Array.isArray(value)
+                ? Object.fromEntries(value.map((component, index) => [axes[index], component]))
+                : value;
+            if (Array.isArray(currentValue)) {
+                return axes.map((axis, index) => vector[axis] ?? currentValue[index]);
+            }
+            // Only the given axes are written, so a partial vector leaves the others as they are.
+            const encoded = {};
+            axes.forEach((axis) => {
+                if (vector[axis] !== undefined) {
+                    encoded[axis] = vector[axis];
+                }
+            });
+            return encoded;
+        }
+    };
+}
+
+// Colours arrive as { r, g, b, a } objects or [r, g, b, a] arrays, with components from 0 to 1.
+function readColour(value) {
+    const [r, g, b, a] = Array.isArray(value) ? value : [value?.r, value?.g, value?.b, value?.a];
+    return { r: r ?? 0, g: g ?? 0, b: b ?? 0, a: a ?? 1 };
+}
+
+// Writes the colour in the shape of the current value, with alpha only if it has alpha.
+function writeColour({ r, g, b, a }, currentValue) {
+    if (Array.isArray(currentValue)) {
+        return currentValue.length > 3 ? [r, g, b, a] : [r, g, b];
+    }
+    return currentValue && currentValue.a === undefined ? { r, g, b } : { r, g, b, a };
+}
+
+function toByte(component) {
+    return Math.round(Math.min(Math.max(component, 0), 1) * 255);
+}
+
+function invalidColour(format, value) {
+    console.error(`Error: '${value}' is not a valid ${format} colour.`);
+    throw new Error(`'${value}' is not a valid ${format} colour.`);
+}
+
+export const vec2 = vectorCodec(['x', 'y']);
+
+export const vec3 = vectorCodec(['x', 'y', 'z']);
+
+// Multiplies each component of a vector, given as an object or an array.
+function scaleVector(vector, factor) {
+    if (Array.isArray(vector)) {
+        return vector.map((component) => component * factor);
+    }
+    return Object.fromEntries(Object.entries(vector ?? {})
+        .map(([axis, component]) => [axis, component === undefined ? component : component * factor]));
+}
+
+/** Euler rotation, in degrees as Designer sends it, as an { x, y, z } object in radians. */
+export const rotationRadians = {
+    decode(value) {
+        return scaleVector(vec3.decode(value), Math.PI / 180);
+    },
+    encode(value, currentValue) {
+        return vec3.encode(scaleVector(value, 180 / Math.PI), currentValue);
+    }
+};
+
+const transformParts = ['offset', 'rotation', 'scale'];
+
+/**
+ * Transform, an object with offset, rotation and scale vectors, with each decoded as by vec3.
+ * Only the given parts are written, so `{ offset: { x: 1 } }` leaves the rest of the transform as it is.
+ */
+export const transform = {
+    decode(value) {
+        return Object.fromEntries(transformParts.map((part) => [part, vec3.decode(value?.[part])]));
+    },
+    encode(value, currentValue) {
+        const encoded = {};
+        transformParts.forEach((part) => {
+            if (value?.[part] !== undefined) {
+                encoded[part] = vec3.encode(value[part], currentValue?.[part]);
+            }
+        });
+        return encoded;
+    }
+};
+
+/** Colour as a '#rrggbb' string, or '#rrggbbaa' when it is not opaque. */
+export const colorHex = {
+    decode(value) {
+        const { r, g, b, a } = readColour(value);
+        const components = a < 1 ? [r, g, b, a] : [r, g, b];
+        return '#' + components.map((component) => toByte(component).toString(16).padStart(2, '0')).join('');
+    },
+    encode(value, currentValue) {
+        const match = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(String(value).trim());
+        if (!match) invalidColour('hex', value);
+
+        let digits = match[1];
+        if (digits.length <= 4) {
+            digits = digits.split('').map((digit) => digit + digit).join('');
+        }
+        const [r, g, b, a = 1] = digits.match(/../g).map((byte) => parseInt(byte, 16) / 255);
+        return writeColour({ r, g, b, a }, currentValue);
+    }
+};
+
+/** Colour as an 'rgba(r, g, b, a)' string, with components from 0 to 255 and alpha from 0 to 1. */
+export const colorRgba = {
+    decode(value) {
+        const { r, g, b, a } = readColour(value);
+        return `rgba(${toByte(r)}, ${toByte(g)}, ${toByte(b)}, ${a})`;
+    },
+    encode(value, currentValue) {
+        const match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(String(value).trim());
+        if (!match) invalidColour('rgba', value);
+
+        const [r, g, b] = match.slice(1, 4).map((component) => Number(component) / 255);
+        const a = match[4] === undefined ? 1 : Number(match[4]);
+        return writeColour({ r, g, b, a }, currentValue);
+    }
+};
+
+/**
+ * The built-in codecs, which may be given to a subscription by name.
+ */
+export const valueCodecs = { vec2, vec3, rotationRadians, transform, colorHex, colorRgba };
+
+/**
+ * Returns the codec for a built-in codec name, or the given `{ decode, encode }` codec.
+ * @param {string|Object} codec - The name of a built-in codec, or a codec.
+ * @param {string} refName - The name of the value the codec is for, used in errors.
+ * @returns {Object} - The codec.
+ */
+export function resolveCodec(codec, refName) {
+    if (typeof codec === 'string') {
+        if (!valueCodecs[codec]) {
+            console.error(`Error: unknown codec '${codec}' for '${refName}'. Built-in codecs: ${Object.keys(valueCodecs).join(', ')}`);
+            throw new Error(`Unknown codec '${codec}' for '${refName}'`);
+        }
+        return valueCodecs[codec];
+    }
+    if (typeof codec?.decode !== 'function' || typeof codec?.encode !== 'function') {
+        console.error(`Error: the codec for '${refName}' must be a built-in codec name, or have decode and encode functions.`);
+        throw new Error(`Invalid codec for '${refName}'`);
+    }
+    return codec;
+}
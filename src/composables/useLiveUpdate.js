@@ -1,170 +1,491 @@
 // useLiveUpdate.js
-import { computed, onUnmounted, ref, reactive, watch } from 'vue'
-import { useWebSocket } from '@vueuse/core'
+import { computed, effectScope, getCurrentScope, isReactive, isRef, readonly, ref, reactive, shallowReactive, shallowRef, toValue, watch } from 'vue'
+import { tryOnScopeDispose, useEventListener } from '@vueuse/core'
+import {
+    LiveUpdateClient,
+    clientConfigKeys,
+    pickConfiguration,
+    subscriptionConfigKeys as clientSubscriptionConfigKeys,
+    validateConfiguration
+} from '../client/LiveUpdateClient'
+import { isPlainObject } from '../client/partialSet.js'
+import { resolveCodec } from '../codecs/valueCodecs'
+import { registerDevtoolsConnection } from '../devtools/liveUpdateDevtools'
+import { acquireLiveUpdate } from '../registry/liveUpdateRegistry'
+
+// Configuration keys which may be given to individual subscriptions, in addition to those of the client.
+const subscriptionConfigKeys = [...clientSubscriptionConfigKeys, 'staleAfterMs', 'deep', 'readyTimeoutMs'];
+// Configuration keys which may only be given to individual subscriptions.
+const subscriptionOnlyConfigKeys = ['codecs'];
+// Configuration keys which may only be given to `useLiveUpdate`.
+const globalConfigKeys = [...clientConfigKeys, 'staleAfterMs', 'deep', 'readyTimeoutMs', 'name'];
+
+const defaultReadyTimeoutMs = 10000;
+
+// Whether the value is a ref, getter or reactive object, rather than a fixed value.
+function isReactiveSource(value) {
+    return isRef(value) || isReactive(value) || typeof value === 'function';
+}
+
+function isContainer(value) {
+    return typeof value === 'object' && value !== null;
+}
+
+function valueAtPath(value, path) {
+    return path.reduce((node, segment) => node?.[segment], value);
+}
+
+// Returns a copy of the value with the property at the path set to a new value, or deleted. Only the
+// objects and arrays along the path are copied.
+function updateAtPath(value, path, newValue, remove = false) {
+    const [segment, ...rest] = path;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    if (rest.length > 0) {
+        copy[segment] = updateAtPath(value?.[segment], rest, newValue, remove);
+    } else if (remove && Array.isArray(copy)) {
+        copy[segment] = undefined; // Arrays keep their length, as `delete` would.
+    } else if (remove) {
+        delete copy[segment];
+    } else {
+        copy[segment] = newValue;
+    }
+    return copy;
+}
+
+// Wraps an object or array so that assigning to, or deleting, any nested property calls `write` with the
+// path and new value, rather than changing it. Reads always see the latest value, so that several changes
+// in a row (as made by array methods such as `push`) build on each other.
+function createDeepValue(getValue, write, path = []) {
+    return new Proxy(valueAtPath(getValue(), path), {
+        get(target, property) {
+            const child = Reflect.get(valueAtPath(getValue(), path) ?? target, property);
+            if (typeof property === 'symbol' || !isContainer(child)) return child;
+            return createDeepValue(getValue, write, [...path, property]);
+        },
+        set(target, property, value) {
+            write([...path, property], value, false);
+            return true;
+        },
+        deleteProperty(target, property) {
+            write([...path, property], undefined, true);
+            return true;
+        }
+    });
+}
 
 /**
- * Initializes the live update system with a WebSocket connection.
- * @param {string} director - The WebSocket endpoint (director) to connect to.
+ * Initializes the live update system with a WebSocket connection. The connection is held by a `LiveUpdateClient`,
+ * whose state is made reactive here.
+ * Calls for the same director share one connection, which is closed once every component or effect scope using it
+ * has been disposed. Replays, and calls outside of any effect scope, have their own connection.
+ * @param {string} director - The director to connect to: host, host:port, or a full ws://, wss://, http:// or https:// URL.
+ * May be omitted when playing a recording.
  * @param {Object} [config] - Optional configuration object.
  * @param {number} [config.updateFrequencyMs] - Default update frequency in milliseconds for all subscriptions.
- * @returns {Object} - The live update API including status, subscribe, autoSubscribe, and debugInfo.
+ * @param {number} [config.writeTimeoutMs=2000] - Time to wait for the server to confirm a written value before rolling it back.
+ * @param {number|'frame'} [config.writeIntervalMs='frame'] - Minimum time between set messages; writes in between are coalesced.
+ * @param {Object|false} [config.reconnect] - Automatic reconnection policy, or `false` to disable it.
+ * @param {number} [config.reconnect.initialDelayMs=1000] - Delay before the first reconnection attempt.
+ * @param {number} [config.reconnect.multiplier=2] - Factor applied to the delay after each failed attempt.
+ * @param {number} [config.reconnect.maxDelayMs=30000] - Upper bound for the delay between attempts.
+ * @param {number} [config.reconnect.jitter=0.2] - Random variation applied to each delay, as a fraction of the delay.
+ * @param {number} [config.reconnect.maxAttempts=Infinity] - Number of attempts before giving up.
+ * @param {boolean|'auto'} [config.secure='auto'] - Whether to use wss. 'auto' uses wss when the page is served over https.
+ * @param {string} [config.path='/api/session/liveupdate'] - The endpoint path, when the director is not a full URL.
+ * @param {'drop'|'latest'|'all'} [config.offlineWrites='latest'] - What to do with values written while disconnected:
+ * discard them, send the latest value of each property, or send every value in order, once reconnected.
+ * @param {Object|false} [config.heartbeat] - Heartbeat used to detect a server which has stopped responding, or `false` to disable it.
+ * @param {number} [config.heartbeat.intervalMs=5000] - Interval between heartbeats.
+ * @param {number} [config.heartbeat.timeoutMs=15000] - Time without any message after which the connection is reconnected.
+ * @param {number} [config.staleAfterMs] - Default age after which subscribed values are considered stale.
+ * @param {boolean} [config.deep=false] - Whether subscribed objects and arrays send changes made to their nested properties.
+ * @param {number} [config.readyTimeoutMs=10000] - Time after which a subscription's `ready` promise is rejected, if
+ * its values have not all been received.
+ * @param {Object} [config.replay] - Plays a recording made with `recordLiveUpdate` instead of connecting to the director.
+ * @param {Object} config.replay.recording - The recording.
+ * @param {boolean} [config.replay.loop=false] - Whether to start the recording again once it ends.
+ * @param {number} [config.replay.speed=1] - Playback speed.
+ * @param {Function} [config.WebSocket] - The WebSocket constructor to connect with, such as the one from the `ws` package in Node.
+ * Defaults to the global `WebSocket`.
+ * @param {Function} [config.createWebSocket] - Instead of `WebSocket`, a function which is given the URL and returns a WebSocket.
+ * @param {string} [config.name] - Names the shared connection, for `injectLiveUpdate` and `useLiveUpdateConnections`.
+ * Defaults to the director.
+ * @returns {Object} - The live update API including status, subscribe, autoSubscribe, dispose, and debugInfo.
  */
 export function useLiveUpdate(director, config = {}) {
-    if (!director) {
-        console.error("Error: 'director' parameter is required.");
-        throw new Error("'director' parameter is required.");
+    validateConfiguration(config, globalConfigKeys, 'configuration');
+    // A connection shared outside of any scope could never be closed.
+    if (!director || config.replay || !getCurrentScope()) {
+        return createLiveUpdate(director, config);
     }
+    return acquireLiveUpdate(director, config, () => createLiveUpdate(director, config));
+}
 
-    // Validate configuration helper function
-    function validateConfiguration(configuration, context = 'configuration') {
-        if (!configuration) return;
-        
-        const allowedConfigKeys = ['updateFrequencyMs'];
-        const invalidKeys = Object.keys(configuration).filter(key => !allowedConfigKeys.includes(key));
-        if (invalidKeys.length > 0) {
-            console.error(`Invalid ${context} keys: ${invalidKeys.join(', ')}. Allowed keys: ${allowedConfigKeys.join(', ')}`);
-            throw new Error(`Invalid ${context} keys: ${invalidKeys.join(', ')}`);
-        }
-    }
+// Creates a live update instance with its own connection, which is closed by its `dispose`, or with the
+// current effect scope.
+function createLiveUpdate(director, config) {
+    const defaultSubscriptionConfiguration = pickConfiguration(config, subscriptionConfigKeys);
+    const client = new LiveUpdateClient(director, pickConfiguration(config, clientConfigKeys));
 
-    // Validate global configuration
-    validateConfiguration(config, 'configuration');
+    // Reactive copies of the client's state, kept up to date by its events.
+    const status = ref(client.status);
+    const connectionUserInfo = ref(client.connectionInfo);
+    const closeCode = ref(client.closeCode);
+    const lastError = ref(client.lastError);
+    const reconnectAttempts = ref(client.reconnectAttempts);
+    const nextReconnectAt = ref(client.nextReconnectAt);
+    const offlineQueueSize = ref(client.offlineQueueLength);
+    const offlineQueueLength = computed(() => offlineQueueSize.value);
+    const health = reactive(client.health);
+    const subscriptions = ref(client.subscriptions);
+    const keyToValue = reactive({});
+    const keyToUpdatedAt = reactive({}); // key -> time (ms since epoch) its value was last received
+    const keyToState = reactive({}); // key -> { state: 'pending' | 'active' | 'failed', error }
+    const keyToWrite = reactive({}); // key -> { displayValue } for a write awaiting confirmation
+    // For debugging tools: every current subscribe call.
+    const subscribers = shallowReactive([]);
+    let nextSubscriberId = 0;
 
-    // Initialize the WebSocket connection & provide reactive data.
-    const socketUrl = `ws://${director}/api/session/liveupdate`;
-    const { status, data, send, open, ws } = useWebSocket(socketUrl, {
-        autoConnect: false
+    client.on('status', (newStatus) => {
+        status.value = newStatus;
     });
-
-    const connectionUserInfo = ref('');
-    function installWsEventHandlers(ws) {
-        ws.addEventListener('error', (ev) => {
-            // Usually immediately followed by a close event.
-            // This event contains no information about the error.
-            connectionUserInfo.value = 'WebSocket error';
-        });
-        ws.addEventListener('close', (ev) => {
-            // Provide information about the close reason code
-            let reason = {
-                1000: 'Normal closure',
-                1001: 'Going away',
-                1002: 'Protocol error',
-                1003: 'Unsupported data',
-                1005: 'No status code',
-                1006: 'Could not establish connection',
-                1007: 'Invalid data',
-                1008: 'Policy violation',
-                1009: 'Message too big',
-                1010: 'Extension required',
-                1011: 'Internal error',
-                1015: 'TLS handshake'
-            }[ev.code] || ev.code;
-            connectionUserInfo.value = reason;
-            //setTimeout(reconnect, 5000);
-        });
-    }
-    watch(ws, installWsEventHandlers);
-    watch(status, (newStatus) => {
-        if (newStatus === 'OPEN') {
-            // Resubscribe to all subscriptions when the connection is re-established.
-            // group by objectPath.
-            const objectPathToProperties = {};
-            subscriptions.value.forEach((sub) => {
-                if (!objectPathToProperties[sub.objectPath]) {
-                    objectPathToProperties[sub.objectPath] = [];
-                }
-                objectPathToProperties[sub.objectPath].push(sub.propertyPath);
-            });
-            for (const [objectPath, propertyPaths] of Object.entries(objectPathToProperties)) {
-                const configuration = objectPathToConfiguration[objectPath];
-                innerSubscribe(objectPath, propertyPaths, configuration);
-            }
+    client.on('connectionInfo', (info) => {
+        connectionUserInfo.value = info;
+    });
+    client.on('closeCode', (code) => {
+        closeCode.value = code;
+    });
+    client.on('lastError', (error) => {
+        lastError.value = error;
+    });
+    client.on('reconnect', ({ attempts, nextAt }) => {
+        reconnectAttempts.value = attempts;
+        nextReconnectAt.value = nextAt;
+    });
+    client.on('offlineQueue', (length) => {
+        offlineQueueSize.value = length;
+    });
+    client.on('health', (newHealth) => Object.assign(health, newHealth));
+    client.on('subscriptions', (newSubscriptions) => {
+        subscriptions.value = newSubscriptions;
+    });
+    client.on('value', ({ key, value, updatedAt }) => {
+        if (value === undefined) {
+            delete keyToValue[key];
+            delete keyToUpdatedAt[key];
+        } else {
+            keyToValue[key] = value;
+            keyToUpdatedAt[key] = updatedAt;
         }
     });
-    
-    function reconnect() {
-        open();
-    };
-
-    installWsEventHandlers(ws.value);
-
-    // Reactive data for the live update system.
-    const subscriptions = ref([]);
-    const keyToValue = reactive({});
-    const keyToId = {};
-    const idToKey = {};
-    const objectPathToConfiguration = {};
-
-    function innerSubscribe(objectPath, properties, configuration) {
-        const msg = {
-            subscribe: {
-                object: objectPath,
-                properties
-            }
-        };
-        
-        if (configuration) {
-            msg.subscribe.configuration = configuration;
+    client.on('state', ({ key, state, error }) => {
+        if (state === null) {
+            delete keyToState[key];
+        } else {
+            keyToState[key] = { state, error };
         }
-        
-        send(JSON.stringify(msg));
+    });
+    client.on('write', ({ key, pending, value }) => {
+        if (pending) {
+            keyToWrite[key] = { displayValue: value };
+        } else {
+            delete keyToWrite[key];
+        }
+    });
+
+    // Close the connection with the current component or effect scope, or when the page is unloaded.
+    let disposed = false;
+    let unregisterDevtools = () => {};
+    const stopUnloadListener = useEventListener('beforeunload', () => client.close(), { passive: true });
+    function dispose() {
+        if (disposed) return;
+        disposed = true;
+        stopUnloadListener();
+        unregisterDevtools();
+        client.close();
     }
+    tryOnScopeDispose(dispose);
+    client.connect();
 
     function subscribe(objectPath, refNameToPropertyPaths, configuration) {
-        const properties = Object.values(refNameToPropertyPaths);
-        
         // Validate per-subscription configuration parameters
-        validateConfiguration(configuration, 'subscription configuration');
-        
-        // Merge default configuration with per-subscription configuration
-        const mergedConfiguration = { ...config, ...configuration };
+        validateConfiguration(configuration, [...subscriptionConfigKeys, ...subscriptionOnlyConfigKeys], 'subscription configuration');
         
-        // Only store and send configuration if it has properties
-        const hasConfiguration = Object.keys(mergedConfiguration).length > 0;
-        if (hasConfiguration) {
-            objectPathToConfiguration[objectPath] = mergedConfiguration;
+        // Merge default configuration with per-subscription configuration. The client works out what to send to the server.
+        const subscriptionConfiguration = { ...defaultSubscriptionConfiguration, ...configuration };
+        const { serverConfiguration, updateFrequencyMs, writeTimeoutMs, writeIntervalMs } = client.resolveConfiguration(configuration);
+        const staleAfterMs = subscriptionConfiguration.staleAfterMs ?? null;
+        const deep = subscriptionConfiguration.deep ?? false;
+        const readyTimeoutMs = subscriptionConfiguration.readyTimeoutMs ?? defaultReadyTimeoutMs;
+        if (staleAfterMs !== null && staleAfterMs <= updateFrequencyMs) {
+            console.warn(`staleAfterMs (${staleAfterMs}ms) should be longer than updateFrequencyMs (${updateFrequencyMs}ms), or values will be stale between updates.`);
         }
-        
-        innerSubscribe(objectPath, properties, hasConfiguration ? mergedConfiguration : null);
 
-        const keys = [];
+        // The ref names are fixed by the initial property map, so that the returned refs stay the same
+        // as the object path (or property map) changes. Each consumer tracks the key it currently reads.
+        let currentObjectPath = null;
+        const consumers = [];
         const computedValues = {};
-        for (const [refName, propertyPath] of Object.entries(refNameToPropertyPaths)) {
-            const key = `${objectPath}/${propertyPath}`;
-            keys.push(key);
+        const stopStalenessTimers = [];
+        const refNames = Object.keys(toValue(refNameToPropertyPaths));
+        const codecs = configuration?.codecs || {};
+        Object.keys(codecs).forEach((refName) => {
+            if (!refNames.includes(refName)) {
+                console.warn(`Ignoring the codec for '${refName}', which is not in the property map.`);
+            }
+        });
+        for (const refName of refNames) {
+            const codec = codecs[refName] ? resolveCodec(codecs[refName], refName) : null;
+            const key = ref(null);
+            const frozenValue = shallowRef(null);
+            const frozenUpdatedAt = shallowRef(null);
+            const expired = ref(false);
+            const consumer = { refName, key, propertyPath: null, frozenValue };
+            consumers.push(consumer);
+
+            // The value as sent by the server, before it is decoded.
+            function rawValue() {
+                if (frozenValue.value !== null) return frozenValue.value;
+                if (key.value === null) return undefined;
+                return keyToWrite[key.value] ? keyToWrite[key.value].displayValue : keyToValue[key.value];
+            }
+
+            function decodedValue() {
+                const value = rawValue();
+                return codec && value !== undefined ? codec.decode(value) : value;
+            }
+
+            // Writes a change to a nested property of the value, made in deep mode. Objects are sent as a
+            // partial set of the top level property which contains the change, while arrays (and values with
+            // a codec) are sent whole.
+            function writeNestedValue(path, newValue, remove) {
+                const value = decodedValue();
+                const updatedValue = updateAtPath(value, path, newValue, remove);
+                if (codec || !isPlainObject(value)) {
+                    accessor.value = updatedValue;
+                    return;
+                }
+
+                const [property] = path;
+                if (remove && path.length === 1) {
+                    console.warn(`Cannot delete '${property}' from '${refName}', as partial writes can only set properties.`);
+                    return;
+                }
+                accessor.value = { [property]: updatedValue[property] };
+            }
 
-            let frozenValue = null;
             const accessor = computed({
-                get: () => frozenValue ?? keyToValue[key],
+                get: () => {
+                    const value = decodedValue();
+                    return deep && isContainer(value) ? createDeepValue(decodedValue, writeNestedValue) : value;
+                },
                 set: (newValue) => {
-                    const id = keyToId[key];
-                    if (id) {
-                        setValues([{ id, value: newValue }]);
+                    if (key.value === null) {
+                        console.warn(`Cannot write to '${refName}' as it is not subscribed to any property.`);
+                        return;
                     }
+                    const value = codec ? codec.encode(newValue, rawValue()) : newValue;
+                    client.write(key.value, value, { timeoutMs: writeTimeoutMs, intervalMs: writeIntervalMs });
                 }
             });
-            accessor.isFrozen = () => frozenValue !== null;
+            accessor.pending = computed(() => key.value !== null && keyToWrite[key.value] !== undefined);
+            accessor.state = computed(() => frozenValue.value !== null ? 'frozen' : keyToState[key.value]?.state ?? 'pending');
+            accessor.error = computed(() => keyToState[key.value]?.error ?? null);
+            accessor.lastUpdated = computed(() => frozenValue.value !== null
+                ? frozenUpdatedAt.value
+                : keyToUpdatedAt[key.value] ?? null);
+            // A value is stale once it is older than the threshold, or while it is awaiting resubscription.
+            accessor.isStale = computed(() => accessor.lastUpdated.value !== null
+                && (expired.value || accessor.state.value === 'pending'));
+            if (staleAfterMs !== null) {
+                stopStalenessTimers.push(watchExpiry(accessor.lastUpdated, staleAfterMs, expired));
+            }
+            accessor.isFrozen = () => frozenValue.value !== null;
             accessor.freeze = () => {
-                if (frozenValue !== null) return;
-                frozenValue = keyToValue[key];
-                unsubscribe([key]);
+                // Unsubscribed values have already released their keys.
+                if (frozenValue.value !== null || unsubscribed) return;
+                frozenUpdatedAt.value = keyToUpdatedAt[key.value] ?? null;
+                frozenValue.value = keyToValue[key.value];
+                if (key.value !== null) {
+                    client.release([key.value]);
+                }
             };
             accessor.thaw = () => {
-                if (frozenValue === null) return;
-                frozenValue = null;
-                const configuration = objectPathToConfiguration[objectPath];
-                innerSubscribe(objectPath, [propertyPath], configuration);
+                if (frozenValue.value === null || unsubscribed) return;
+                frozenValue.value = null;
+                if (key.value !== null) {
+                    client.retain(currentObjectPath, [consumer.propertyPath]);
+                }
             };
             computedValues[refName] = accessor;
         }
 
-        onUnmounted(() => {
-            unsubscribe(keys);
+        // Moves every consumer to its key on the given object, subscribing the new keys before
+        // releasing the old ones so that keys which are shared with other consumers are not dropped.
+        function applyTarget(newObjectPath, newRefNameToPropertyPaths) {
+            Object.keys(newRefNameToPropertyPaths || {}).forEach((refName) => {
+                if (!(refName in computedValues)) {
+                    console.warn(`Ignoring '${refName}', which was not in the initial property map.`);
+                }
+            });
+
+            const oldKeys = [];
+            const newPropertyPaths = [];
+            consumers.forEach((consumer) => {
+                const propertyPath = newRefNameToPropertyPaths?.[consumer.refName];
+                const newKey = newObjectPath && propertyPath ? `${newObjectPath}/${propertyPath}` : null;
+                if (newKey === consumer.key.value) return;
+
+                // Frozen consumers hold no key, and pick up their new key when thawed.
+                if (consumer.frozenValue.value === null) {
+                    if (consumer.key.value !== null) {
+                        oldKeys.push(consumer.key.value);
+                    }
+                    if (newKey !== null) {
+                        newPropertyPaths.push(propertyPath);
+                    }
+                }
+                consumer.key.value = newKey;
+                consumer.propertyPath = newKey !== null ? propertyPath : null;
+            });
+
+            currentObjectPath = newObjectPath;
+            if (newObjectPath) {
+                client.retain(newObjectPath, newPropertyPaths, serverConfiguration);
+            }
+            client.release(oldKeys);
+        }
+
+        applyTarget(toValue(objectPath), toValue(refNameToPropertyPaths));
+
+        // Follow the target when it is given as a ref or getter.
+        let stopWatch = () => {};
+        if (isReactiveSource(objectPath) || isReactiveSource(refNameToPropertyPaths)) {
+            stopWatch = watch(
+                () => [toValue(objectPath), toValue(refNameToPropertyPaths)],
+                ([newObjectPath, newRefNameToPropertyPaths]) => applyTarget(newObjectPath, newRefNameToPropertyPaths),
+                { deep: true }
+            );
+        }
+
+        const subscriber = {
+            id: nextSubscriberId++,
+            objectPath: () => currentObjectPath,
+            keys: () => Object.fromEntries(consumers.map(({ refName, key }) => [refName, key.value])),
+            configuration: subscriptionConfiguration,
+            values: computedValues
+        };
+        subscribers.push(subscriber);
+
+        let unsubscribed = false;
+        let ready = null;
+        let settleReady = null;
+        function dispose() {
+            if (unsubscribed) return;
+            unsubscribed = true;
+            settleReady?.(new Error('Unsubscribed before every value was received.'));
+            stopWatch();
+            stopStalenessTimers.forEach((stop) => stop());
+            subscribers.splice(subscribers.indexOf(subscriber), 1);
+            // Frozen values have already released their keys.
+            client.release(consumers
+                .filter(({ key, frozenValue }) => key.value !== null && frozenValue.value === null)
+                .map(({ key }) => key.value));
+        }
+
+        // Clean up with the current component or effect scope, if there is one. Otherwise the
+        // subscription lasts until it is disposed by hand.
+        tryOnScopeDispose(dispose);
+
+        // Resolves with the subscription once every subscribed property has received its first value.
+        // Rejects as soon as one fails, after `readyTimeoutMs`, or if unsubscribed first.
+        function whenReady() {
+            return new Promise((resolve, reject) => {
+                if (unsubscribed) {
+                    reject(new Error('Unsubscribed before every value was received.'));
+                    return;
+                }
+
+                let timer = null;
+                let stopReadyWatch = null;
+                settleReady = (error) => {
+                    settleReady = null;
+                    clearTimeout(timer);
+                    stopReadyWatch?.();
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve(computedValues);
+                    }
+                };
+
+                const subscribedRefNames = () => consumers
+                    .filter(({ key, frozenValue }) => key.value !== null || frozenValue.value !== null)
+                    .map(({ refName }) => refName);
+                const readiness = () => {
+                    const names = subscribedRefNames();
+                    const failed = names.find((refName) => computedValues[refName].state.value === 'failed');
+                    if (failed) {
+                        return { error: `Could not subscribe to '${failed}': ${computedValues[failed].error.value}` };
+                    }
+                    return {
+                        waiting: names.filter((refName) => computedValues[refName].state.value !== 'frozen'
+                            && computedValues[refName].lastUpdated.value === null)
+                    };
+                };
+                // Not tied to the current scope, as the promise may be awaited after it.
+                const readyScope = effectScope(true);
+                readyScope.run(() => watch(readiness, ({ error, waiting }) => {
+                    if (error) {
+                        settleReady?.(new Error(error));
+                    } else if (waiting.length === 0) {
+                        settleReady?.();
+                    }
+                }, { immediate: true }));
+                stopReadyWatch = () => readyScope.stop();
+                if (!settleReady) {
+                    readyScope.stop();
+                    return;
+                }
+
+                timer = setTimeout(() => {
+                    const waiting = readiness().waiting ?? [];
+                    settleReady?.(new Error(`Timed out after ${readyTimeoutMs}ms waiting for the first value of ${waiting.map((refName) => `'${refName}'`).join(', ')}.`));
+                }, readyTimeoutMs);
+            });
+        }
+
+        // Not enumerable, so as not to be mistaken for subscription values. `ready` is only created
+        // when it is first read, so that unused subscriptions have no timer.
+        Object.defineProperties(computedValues, {
+            unsubscribe: { value: dispose },
+            dispose: { value: dispose },
+            ready: { get: () => (ready ??= whenReady()) }
         });
         return computedValues;
     }
 
-    function autoSubscribe(objectPath, propertyPaths, configuration) {
+    // Sets `expired` once the time held by `updatedAt` is older than `afterMs`. Returns a function which stops it.
+    function watchExpiry(updatedAt, afterMs, expired) {
+        let timer = null;
+        const stop = watch(updatedAt, (time) => {
+            clearTimeout(timer);
+            const remainingMs = time === null ? Infinity : time + afterMs - Date.now();
+            expired.value = remainingMs <= 0;
+            if (remainingMs > 0 && remainingMs !== Infinity) {
+                timer = setTimeout(() => {
+                    expired.value = true;
+                }, remainingMs);
+            }
+        }, { immediate: true });
+        return () => {
+            stop();
+            clearTimeout(timer);
+        };
+    }
+
+    // Names each property path without its 'object.' prefix, e.g. 'object.offset.x' becomes 'offset_x'.
+    function autoRefNames(propertyPaths) {
         const refNameToPropertyPaths = {};
         propertyPaths.forEach((propertyPath) => {
             const sanitizedPropertyPath = propertyPath.startsWith('object.') 
@@ -173,87 +494,104 @@ export function useLiveUpdate(director, config = {}) {
             const refName = sanitizedPropertyPath.replace(/\./g, '_');
             refNameToPropertyPaths[refName] = propertyPath;
         });
-        return subscribe(objectPath, refNameToPropertyPaths, configuration);
-    }
-
-    function unsubscribe(keys) {
-        const ids = [];
-        keys.forEach((key) => {
-            const id = keyToId[key];
-            if (id !== undefined) {
-                ids.push(id);
-            }
-        });
-        if (ids.length > 0) {
-            const msg = { unsubscribe: { ids } };
-            send(JSON.stringify(msg));
-        }
+        return refNameToPropertyPaths;
     }
 
-    function setValues(newValues) {
-        const setMessages = [];
-        newValues.forEach(({ id, value }) => {
-            setMessages.push({ id, value });
-        });
-        if (setMessages.length > 0) {
-            const msg = { set: setMessages };
-            send(JSON.stringify(msg));
-        }
+    function autoSubscribe(objectPath, propertyPaths, configuration) {
+        const refNameToPropertyPaths = isReactiveSource(propertyPaths)
+            ? () => autoRefNames(toValue(propertyPaths))
+            : autoRefNames(propertyPaths);
+        return subscribe(objectPath, refNameToPropertyPaths, configuration);
     }
 
-    watch(data, (newMessage) => {
-        if (!newMessage) return;
+    /**
+     * Subscribes to the same properties of each object in a list, which may change over time.
+     * @param {string[]|Object} objectPaths - The object paths, as an array, ref or getter. Or a pattern
+     * `{ objectPath, propertyPath, toObjectPath }`, naming an array property which lists the objects.
+     * @param {Object} refNameToPropertyPaths - The properties to subscribe to on each object, as for `subscribe`.
+     * @param {Object} [configuration] - Configuration for each subscription, as for `subscribe`.
+     * @returns {Object} - A reactive object holding each object's subscriptions, by object path.
+     */
+    function subscribeMany(objectPaths, refNameToPropertyPaths, configuration) {
+        validateConfiguration(configuration, [...subscriptionConfigKeys, ...subscriptionOnlyConfigKeys], 'subscription configuration');
 
-        let parsed;
-        try {
-            parsed = JSON.parse(newMessage);
-        } catch (err) {
-            console.error("Error parsing Live Update message:", newMessage);
-            return;
-        }
+        // The subscriptions are made in their own scope, so that they are not tied to whichever
+        // scope is current when the list changes.
+        const scope = effectScope(true);
 
-        if (parsed.error) {
-            console.error("Live Update Error:", parsed.error);
-            return;
+        let getObjectPaths = () => toValue(objectPaths);
+        if (!Array.isArray(objectPaths) && !isReactiveSource(objectPaths)) {
+            const { objectPath, propertyPath, toObjectPath = (item) => item } = objectPaths || {};
+            if (!objectPath || !propertyPath) {
+                console.error("Error: subscribeMany expects a list of object paths, or a pattern with an objectPath and propertyPath.");
+                throw new Error("subscribeMany expects a list of object paths, or a pattern with an objectPath and propertyPath.");
+            }
+            const { list } = scope.run(() => subscribe(objectPath, { list: propertyPath }));
+            getObjectPaths = () => Array.isArray(list.value) ? list.value.map(toObjectPath) : [];
         }
 
-        if (parsed.subscriptions) {
-            subscriptions.value = parsed.subscriptions;
+        const pathToSubscriptions = {};
+        Object.defineProperties(pathToSubscriptions, {
+            unsubscribe: { value: dispose },
+            dispose: { value: dispose }
+        });
+        const subscriptionsByPath = shallowReactive(pathToSubscriptions);
 
-            Object.keys(keyToId).forEach((key) => delete keyToId[key]);
-            Object.keys(idToKey).forEach((id) => delete idToKey[id]);
-            subscriptions.value.forEach((sub) => {
-                const key = `${sub.objectPath}/${sub.propertyPath}`;
-                keyToId[key] = sub.id;
-                idToKey[sub.id] = key;
+        function applyObjectPaths(newObjectPaths) {
+            const wanted = new Set((newObjectPaths || []).filter((path) => typeof path === 'string' && path));
+            Object.keys(subscriptionsByPath).forEach((path) => {
+                if (!wanted.has(path)) {
+                    subscriptionsByPath[path].unsubscribe();
+                    delete subscriptionsByPath[path];
+                }
             });
-
-            // Remove entries from the keyToValue object for unsubscribed keys
-            Object.keys(keyToValue).forEach((key) => {
-                if (!keyToId[key]) {
-                    delete keyToValue[key];
+            wanted.forEach((path) => {
+                if (!subscriptionsByPath[path]) {
+                    subscriptionsByPath[path] = scope.run(() => subscribe(path, refNameToPropertyPaths, configuration));
                 }
             });
         }
 
-        if (parsed.valuesChanged) {
-            parsed.valuesChanged.forEach((change) => {
-                const key = idToKey[change.id];
-                keyToValue[key] = change.value;
-            });
+        const stopWatch = watch(() => [...(getObjectPaths() || [])], applyObjectPaths, { immediate: true });
+
+        let unsubscribed = false;
+        function dispose() {
+            if (unsubscribed) return;
+            unsubscribed = true;
+            stopWatch();
+            scope.stop();
+            Object.keys(subscriptionsByPath).forEach((path) => delete subscriptionsByPath[path]);
         }
-    });
+        tryOnScopeDispose(dispose);
+
+        return subscriptionsByPath;
+    }
 
-    return {
+    const liveUpdate = {
         status,
         connectionUserInfo,
-        reconnect,
+        closeCode,
+        lastError,
+        reconnect: () => client.connect(),
+        reconnectAttempts,
+        nextReconnectAt,
+        offlineQueueLength,
+        health: readonly(health),
         subscribe,
         autoSubscribe,
+        subscribeMany,
+        batch: (callback) => client.batch(callback),
+        dispose,
+        client,
         debugInfo: {
+            url: client.url,
             status,
             subscriptions,
-            values: keyToValue
+            values: keyToValue,
+            subscribers,
+            onMessage: (listener) => client.on('message', listener)
         }
     };
+    unregisterDevtools = registerDevtoolsConnection(liveUpdate);
+    return liveUpdate;
 }
@@ -0,0 +1,219 @@
+// liveUpdateDevtools.js
+import { setupDevtoolsPlugin } from '@vue/devtools-api'
+import { toRaw } from 'vue'
+
+const inspectorId = 'disguise-live-update';
+const timelineLayerId = 'disguise-live-update';
+
+const green = 0x42b883;
+const grey = 0x6b7280;
+const orange = 0xf59e0b;
+const red = 0xef4444;
+const white = 0xffffff;
+
+// Every live update connection, and the devtools of every app showing them.
+const connections = [];
+const devtoolsApis = new Set();
+let nextConnectionId = 0;
+
+// Messages shown on the timeline, and the title of each.
+const timelineMessageTypes = ['subscribe', 'unsubscribe', 'set', 'valuesChanged', 'subscriptions', 'error'];
+
+/**
+ * Makes a live update connection visible to the devtools. Called by `useLiveUpdate` for every connection.
+ * @param {Object} liveUpdate - The live update API.
+ * @returns {Function} - Removes the connection from the devtools.
+ */
+export function registerDevtoolsConnection(liveUpdate) {
+    const connection = { id: nextConnectionId++, liveUpdate };
+    connections.push(connection);
+
+    const stopListening = liveUpdate.debugInfo.onMessage((direction, message) => {
+        devtoolsApis.forEach((api) => addTimelineEvents(api, connection, direction, message));
+        refresh();
+    });
+    refresh();
+
+    return () => {
+        stopListening();
+        connections.splice(connections.indexOf(connection), 1);
+        refresh();
+    };
+}
+
+/**
+ * Adds a "Live Update" inspector and timeline layer to the Vue devtools for the app, showing every live
+ * update connection. Called by `createLiveUpdatePlugin`, unless its `devtools` option is false.
+ * @param {Object} app - The Vue app.
+ */
+export function setupLiveUpdateDevtools(app) {
+    setupDevtoolsPlugin({
+        id: 'disguise-one.vue-liveupdate',
+        label: 'Live Update',
+        packageName: '@disguise-one/vue-liveupdate',
+        app
+    }, (api) => {
+        devtoolsApis.add(api);
+        app.onUnmount(() => devtoolsApis.delete(api));
+
+        api.addInspector({
+            id: inspectorId,
+            label: 'Live Update',
+            icon: 'sync_alt',
+            treeFilterPlaceholder: 'Search object paths'
+        });
+        api.addTimelineLayer({
+            id: timelineLayerId,
+            label: 'Live Update',
+            color: green
+        });
+
+        api.on.getInspectorTree((payload) => {
+            if (payload.inspectorId !== inspectorId) return;
+            payload.rootNodes = inspectorTree(payload.filter);
+        });
+        api.on.getInspectorState((payload) => {
+            if (payload.inspectorId !== inspectorId) return;
+            payload.state = inspectorState(payload.nodeId);
+        });
+        api.on.editInspectorState((payload) => {
+            if (payload.inspectorId !== inspectorId) return;
+            editValue(payload);
+        });
+    });
+}
+
+function refresh() {
+    devtoolsApis.forEach((api) => {
+        api.sendInspectorTree(inspectorId);
+        api.sendInspectorState(inspectorId);
+    });
+}
+
+function addTimelineEvents(api, connection, direction, message) {
+    timelineMessageTypes.filter((type) => message[type] !== undefined).forEach((type) => {
+        api.addTimelineEvent({
+            layerId: timelineLayerId,
+            event: {
+                time: api.now(),
+                title: type,
+                subtitle: `${direction === 'in' ? 'received from' : 'sent to'} ${connection.liveUpdate.debugInfo.url}`,
+                data: message[type],
+                logType: type === 'error' ? 'error' : 'default'
+            }
+        });
+    });
+}
+
+function statusTag(status) {
+    const colour = { OPEN: green, CONNECTING: orange }[status] ?? red;
+    return { label: status, textColor: white, backgroundColor: colour };
+}
+
+function inspectorTree(filter) {
+    return connections.map(({ id, liveUpdate }) => ({
+        id: `connection:${id}`,
+        label: liveUpdate.debugInfo.url,
+        tags: [statusTag(liveUpdate.status.value)],
+        children: liveUpdate.debugInfo.subscribers
+            .filter((subscriber) => !filter || String(subscriber.objectPath()).includes(filter))
+            .map((subscriber) => {
+                const values = Object.values(subscriber.values);
+                const frozenCount = values.filter((value) => value.isFrozen()).length;
+                const failedCount = values.filter((value) => value.state.value === 'failed').length;
+                const tags = [];
+                if (frozenCount > 0) {
+                    tags.push({ label: `${frozenCount} frozen`, textColor: white, backgroundColor: grey });
+                }
+                if (failedCount > 0) {
+                    tags.push({ label: `${failedCount} failed`, textColor: white, backgroundColor: red });
+                }
+                return {
+                    id: `subscriber:${id}:${subscriber.id}`,
+                    label: subscriber.objectPath() || '(no object)',
+                    tags
+                };
+            })
+    }));
+}
+
+function findNode(nodeId) {
+    const [type, connectionId, subscriberId] = nodeId.split(':');
+    const connection = connections.find(({ id }) => String(id) === connectionId);
+    if (!connection) return {};
+    if (type !== 'subscriber') return { connection };
+
+    const subscriber = connection.liveUpdate.debugInfo.subscribers.find(({ id }) => String(id) === subscriberId);
+    return { connection, subscriber };
+}
+
+// Copies a value out of its reactive wrapper, so that the devtools can show and edit it.
+function plainValue(value) {
+    const raw = toRaw(value);
+    return raw === undefined ? undefined : JSON.parse(JSON.stringify(raw));
+}
+
+function inspectorState(nodeId) {
+    const { connection, subscriber } = findNode(nodeId);
+    if (!connection) return {};
+
+    const { liveUpdate } = connection;
+    if (!subscriber) {
+        return {
+            connection: [
+                { key: 'url', value: liveUpdate.debugInfo.url },
+                { key: 'status', value: liveUpdate.status.value },
+                { key: 'info', value: liveUpdate.connectionUserInfo.value },
+                { key: 'reconnectAttempts', value: liveUpdate.reconnectAttempts.value },
+                { key: 'offlineQueueLength', value: liveUpdate.offlineQueueLength.value }
+            ],
+            health: Object.entries(liveUpdate.health).map(([key, value]) => ({ key, value })),
+            'server subscriptions': liveUpdate.debugInfo.subscriptions.value.map(({ id, objectPath, propertyPath }) => ({
+                key: String(id),
+                value: `${objectPath}/${propertyPath}`
+            }))
+        };
+    }
+
+    const keyToId = {};
+    liveUpdate.debugInfo.subscriptions.value.forEach(({ id, objectPath, propertyPath }) => {
+        keyToId[`${objectPath}/${propertyPath}`] = id;
+    });
+    const keys = subscriber.keys();
+    return {
+        values: Object.entries(subscriber.values).map(([refName, value]) => ({
+            key: refName,
+            value: plainValue(value.value),
+            editable: !value.isFrozen()
+        })),
+        properties: Object.entries(subscriber.values).map(([refName, value]) => ({
+            key: refName,
+            value: {
+                key: keys[refName],
+                id: keyToId[keys[refName]] ?? null,
+                state: value.state.value,
+                frozen: value.isFrozen(),
+                pending: value.pending.value,
+                error: value.error.value,
+                lastUpdated: value.lastUpdated.value
+            }
+        })),
+        configuration: Object.entries(subscriber.configuration).map(([key, value]) => ({ key, value }))
+    };
+}
+
+// Writes a value edited in the inspector. Nested edits are applied to a copy, which is written whole.
+function editValue(payload) {
+    const { subscriber } = findNode(payload.nodeId);
+    const [refName, ...path] = payload.path;
+    const value = subscriber?.values[refName];
+    if (!value) return;
+
+    if (path.length === 0) {
+        value.value = payload.state.value;
+        return;
+    }
+    const copy = { [refName]: plainValue(value.value) };
+    payload.set(copy);
+    value.value = copy[refName];
+}
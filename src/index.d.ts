@@ -1,4 +1,4 @@
-import { Ref, ComputedRef, Component } from 'vue';
+import { App, Ref, ComputedRef, WritableComputedRef, Component, InjectionKey, MaybeRefOrGetter, Plugin } from 'vue';
 
 declare function useSubscriptionVisibility(
     elem: Ref<HTMLElement | null>,
@@ -6,9 +6,25 @@ declare function useSubscriptionVisibility(
   ): void;
 
 export interface DebugInfo {
+    /** The WebSocket URL connected to. */
+    url: string;
     status: Ref<string>;
     subscriptions: Ref<Array<Subscription>>;
     values: Record<string, any>;
+    /** Every current `subscribe` (or `autoSubscribe`) call. */
+    subscribers: Array<Subscriber>;
+    /** Calls the listener with every message sent and received. Returns a function which removes the listener. */
+    onMessage: (listener: (direction: 'in' | 'out', message: Record<string, any>) => void) => () => void;
+}
+
+export interface Subscriber {
+    id: number;
+    /** The object path currently subscribed to. */
+    objectPath: () => string | null;
+    /** The key (`objectPath/propertyPath`) each value currently reads, by ref name. */
+    keys: () => Record<string, string | null>;
+    configuration: SubscribeConfiguration;
+    values: Record<string, SubscriptionValue>;
 }
 
 export interface Subscription {
@@ -19,45 +35,517 @@ export interface Subscription {
 
 export interface SubscriptionConfiguration {
     updateFrequencyMs?: number;
+    /** Time to wait for the server to confirm a written value before rolling it back. Defaults to 2000ms. */
+    writeTimeoutMs?: number;
+    /**
+     * Minimum time between set messages, or `'frame'` to send at most once per animation frame.
+     * Writes made in between are coalesced, so only the latest value of each property is sent. Defaults to `'frame'`.
+     */
+    writeIntervalMs?: number | 'frame';
+    /** Age after which a value is considered stale. Should be longer than `updateFrequencyMs`. Unset by default. */
+    staleAfterMs?: number;
+    /**
+     * Whether changes to nested properties of object and array values are sent. Objects send the top level property
+     * containing the change as a partial set, and arrays are sent whole. Defaults to false.
+     */
+    deep?: boolean;
+    /** Time after which a subscription's `ready` promise is rejected, if its values have not all been received. Defaults to 10000ms. */
+    readyTimeoutMs?: number;
+}
+
+export interface ReconnectConfiguration {
+    /** Delay before the first reconnection attempt. Defaults to 1000ms. */
+    initialDelayMs?: number;
+    /** Factor applied to the delay after each failed attempt. Defaults to 2. */
+    multiplier?: number;
+    /** Upper bound for the delay between attempts. Defaults to 30000ms. */
+    maxDelayMs?: number;
+    /** Random variation applied to each delay, as a fraction of the delay. Defaults to 0.2. */
+    jitter?: number;
+    /** Number of attempts before giving up. Defaults to Infinity. */
+    maxAttempts?: number;
+}
+
+/**
+ * Converts a property between the value sent by the server and the form held by its ref.
+ * `encode` is also given the server's current value, so the written value can match its shape.
+ */
+export interface ValueCodec<Decoded = any, Encoded = any> {
+    decode: (value: Encoded) => Decoded;
+    encode: (value: Decoded, currentValue: Encoded | undefined) => Encoded;
+}
+
+/** Names of the built-in codecs in `valueCodecs`. */
+export type BuiltInCodecName = 'vec2' | 'vec3' | 'rotationRadians' | 'transform' | 'colorHex' | 'colorRgba';
+
+/** Configuration for a single `subscribe` or `autoSubscribe` call. */
+export interface SubscribeConfiguration extends SubscriptionConfiguration {
+    /** Codecs for the subscribed values, by ref name. */
+    codecs?: Record<string, ValueCodec | BuiltInCodecName>;
+}
+
+export interface HeartbeatConfiguration {
+    /** Interval between heartbeats. Defaults to 5000ms. */
+    intervalMs?: number;
+    /** Time without any message from the server after which the connection is considered dead. Defaults to 15000ms. */
+    timeoutMs?: number;
+}
+
+export interface LiveUpdateHealth {
+    /** True while the connection is open and the server is answering heartbeats. */
+    readonly responding: boolean;
+    /** Round-trip time of the last answered heartbeat, or null if none has been answered on this connection. */
+    readonly latencyMs: number | null;
+    /** Time (ms since epoch) the last message was received, or null if none has been. */
+    readonly lastMessageAt: number | null;
+    /** Totals since the connection was opened. */
+    readonly messagesIn: number;
+    readonly messagesOut: number;
+    readonly bytesIn: number;
+    readonly bytesOut: number;
+    /** Rates over the last second. */
+    readonly messagesInPerSecond: number;
+    readonly messagesOutPerSecond: number;
+    readonly bytesInPerSecond: number;
+    readonly bytesOutPerSecond: number;
+}
+
+export interface LiveUpdateConfiguration extends SubscriptionConfiguration {
+    /** Automatic reconnection policy, or `false` to disable automatic reconnection. */
+    reconnect?: ReconnectConfiguration | false;
+    /** Heartbeat used to detect a server which has stopped responding, or `false` to disable it. */
+    heartbeat?: HeartbeatConfiguration | false;
+    /** Whether to connect with wss. `'auto'` (the default) uses wss when the page is served over https. */
+    secure?: boolean | 'auto';
+    /** The endpoint path, when the director is not a full URL. Defaults to `/api/session/liveupdate`. */
+    path?: string;
+    /**
+     * What to do with values written while disconnected: `'drop'` them, send the `'latest'` value of each property
+     * once reconnected (the default), or replay `'all'` of them in order.
+     */
+    offlineWrites?: 'drop' | 'latest' | 'all';
+    /** Plays a recording made with `recordLiveUpdate` instead of connecting to the director. */
+    replay?: ReplayConfiguration;
+    /** Names the shared connection, for `injectLiveUpdate` and `useLiveUpdateConnections`. Defaults to the director. */
+    name?: string;
+    /**
+     * The WebSocket constructor to connect with, such as the one from the `ws` package in Node.
+     * Defaults to the global `WebSocket`.
+     */
+    WebSocket?: new (url: string) => WebSocketLike;
+    /** Instead of `WebSocket`, a function which is given the URL and returns a WebSocket. */
+    createWebSocket?: (url: string) => WebSocketLike;
+}
+
+/** The parts of a WebSocket used by the library. */
+export interface WebSocketLike {
+    /** Listens for `open`, `message` (with `data`), `error` and `close` (with `code`) events. */
+    addEventListener(type: string, listener: (event: any) => void): void;
+    send(data: string): void;
+    close(code?: number, reason?: string): void;
+}
+
+export interface RecordedMessage {
+    /** Milliseconds since the recording started. */
+    time: number;
+    /** `'out'` for messages sent to the server, `'in'` for messages received from it. */
+    direction: 'in' | 'out';
+    message: Record<string, any>;
+}
+
+export interface LiveUpdateRecording {
+    format: 'disguise-liveupdate-recording';
+    version: number;
+    /** The WebSocket URL recorded. */
+    url: string;
+    /** When the recording started, as an ISO 8601 date. */
+    startedAt: string;
+    messages: Array<RecordedMessage>;
 }
 
-export interface SubscriptionValue extends ComputedRef<any> {
+export interface ReplayConfiguration {
+    recording: LiveUpdateRecording;
+    /** Whether to start the recording again once it ends. Defaults to false. */
+    loop?: boolean;
+    /** Playback speed, where 2 plays the recording at twice the speed. Defaults to 1. */
+    speed?: number;
+}
+
+export interface LiveUpdateRecorder {
+    /** The recording, which fills as messages are recorded. */
+    recording: LiveUpdateRecording;
+    /** Ends the recording and returns it. */
+    stop(): LiveUpdateRecording;
+}
+
+/**
+ * Lifecycle of a subscribed property:
+ * - `pending`: requested, but not yet confirmed by the server.
+ * - `active`: subscribed, and receiving values.
+ * - `frozen`: frozen by `freeze()`, showing the last value received.
+ * - `failed`: the server rejected the subscription; see `error`.
+ */
+export type SubscriptionState = 'pending' | 'active' | 'frozen' | 'failed';
+
+export interface SubscriptionValue extends WritableComputedRef<any> {
+    state: ComputedRef<SubscriptionState>;
+    /** The error reported by the server when `state` is `failed`, otherwise null. */
+    error: ComputedRef<string | null>;
+    /** True while a written value is shown, but not yet confirmed by the server. */
+    pending: ComputedRef<boolean>;
+    /** Time (ms since epoch) the shown value was received from the server, or null if none has been. */
+    lastUpdated: ComputedRef<number | null>;
+    /** True when the value is older than `staleAfterMs`, or while it is awaiting resubscription. */
+    isStale: ComputedRef<boolean>;
     isFrozen: () => boolean;
     freeze: () => void;
     thaw: () => void;
 }
 
+export interface SubscriptionHandle {
+    /** Unsubscribes every value in the subscription. Called automatically when the scope it was made in is disposed. */
+    unsubscribe: () => void;
+    /** Alias of `unsubscribe`. */
+    dispose: () => void;
+}
+
+/** The values of a subscription, by name, along with its handle. */
+export type Subscriptions = Record<string, SubscriptionValue> & SubscriptionHandle & {
+    /**
+     * Resolves with the subscription once every subscribed property has received its first value, so that it can be
+     * awaited in an async `setup` under `<Suspense>`. Rejects if a property fails to subscribe, after `readyTimeoutMs`,
+     * or if the subscription is unsubscribed first.
+     */
+    readonly ready: Promise<Subscriptions>;
+};
+
+/** An array property listing the objects to subscribe to. */
+export interface SubscribeManyPattern {
+    objectPath: string;
+    propertyPath: string;
+    /** Converts each item of the array to an object path. Defaults to using the items as they are. */
+    toObjectPath?: (item: any, index: number) => string;
+}
+
+/** The subscriptions of each object, by object path, along with a handle which unsubscribes them all. */
+export type SubscriptionsByObjectPath = Record<string, Subscriptions> & SubscriptionHandle;
+
 export interface UseLiveUpdateReturn {
     status: Ref<string>;
     connectionUserInfo: Ref<string>;
+    /** Close code of the socket's last unexpected close, or null while the connection is open. */
+    closeCode: Ref<number | null>;
+    /** Last error sent by the server since the connection opened, or null. */
+    lastError: Ref<string | null>;
     reconnect: () => void;
+    /** Number of automatic reconnection attempts since the connection was last open. */
+    reconnectAttempts: Ref<number>;
+    /** Time (ms since epoch) of the next automatic reconnection attempt, or null if none is scheduled. */
+    nextReconnectAt: Ref<number | null>;
+    /** Number of writes waiting to be sent once the connection is open again. */
+    offlineQueueLength: ComputedRef<number>;
+    /** Reactive health of the connection: heartbeat latency, and message and byte rates. */
+    health: LiveUpdateHealth;
+    /**
+     * Subscribes to properties of an object. The object path and property map may be refs or getters, in which case
+     * the properties are resubscribed when they change. The ref names are fixed by the initial property map.
+     */
     subscribe: (
-        objectPath: string,
-        refNameToPropertyPaths: Record<string, string>,
-        configuration?: SubscriptionConfiguration
-    ) => Record<string, SubscriptionValue>;
+        objectPath: MaybeRefOrGetter<string | null | undefined>,
+        refNameToPropertyPaths: MaybeRefOrGetter<Record<string, string>>,
+        configuration?: SubscribeConfiguration
+    ) => Subscriptions;
+    /**
+     * Subscribes to properties of an object, naming each ref after its property path without the `object.` prefix.
+     */
     autoSubscribe: (
-        objectPath: string,
-        propertyPaths: string[],
-        configuration?: SubscriptionConfiguration
-    ) => Record<string, SubscriptionValue>;
+        objectPath: MaybeRefOrGetter<string | null | undefined>,
+        propertyPaths: MaybeRefOrGetter<string[]>,
+        configuration?: SubscribeConfiguration
+    ) => Subscriptions;
+    /**
+     * Subscribes to the same properties of each object in a list. Objects are subscribed and unsubscribed as the list
+     * changes. The list may be an array, ref or getter of object paths, or a pattern naming an array property.
+     */
+    subscribeMany: (
+        objectPaths: MaybeRefOrGetter<string[]> | SubscribeManyPattern,
+        refNameToPropertyPaths: MaybeRefOrGetter<Record<string, string>>,
+        configuration?: SubscribeConfiguration
+    ) => SubscriptionsByObjectPath;
+    /**
+     * Sends every value written inside the callback together, as one set message.
+     * Resolves when every written value has been confirmed by the server, or rejects once they have all settled if any was rolled back.
+     */
+    batch: (callback: () => void) => Promise<void>;
+    /**
+     * Releases this call's use of the connection, as stopping its effect scope does. The connection is closed, and its
+     * page unload listener and devtools entry removed, once no call uses it. Instances made outside of any effect scope
+     * have a connection of their own, which is never closed otherwise. Calling it again does nothing.
+     */
+    dispose: () => void;
+    /** The client which holds the connection, for code outside Vue which shares it. */
+    client: LiveUpdateClient;
     debugInfo: DebugInfo;
 }
 
+/**
+ * A live update instance as held by the registry, which lists it without `dispose`, as it is closed once every call
+ * using it has released it.
+ */
+export type SharedLiveUpdate = Omit<UseLiveUpdateReturn, 'dispose'>;
+
+/** The configuration of a `LiveUpdateClient`: that of `useLiveUpdate`, other than its Vue-only options. */
+export type LiveUpdateClientConfiguration = Omit<LiveUpdateConfiguration, 'staleAfterMs' | 'deep' | 'readyTimeoutMs' | 'name'>;
+
+export type ConnectionStatus = 'CONNECTING' | 'OPEN' | 'CLOSED';
+
+/** The events of a `LiveUpdateClient`, and the arguments each listener is called with. */
+export interface LiveUpdateClientEvents {
+    status: [status: ConnectionStatus];
+    connectionInfo: [info: string];
+    /** The socket closed unexpectedly, or the connection opened again (with a null code). */
+    closeCode: [code: number | null];
+    /** The server sent an error, or the connection opened again (with a null error). */
+    lastError: [error: string | null];
+    reconnect: [reconnect: { attempts: number; nextAt: number | null }];
+    health: [health: LiveUpdateHealth];
+    message: [direction: 'in' | 'out', message: Record<string, any>];
+    subscriptions: [subscriptions: Array<Subscription>];
+    /** A value was received, or forgotten (with an undefined value) once it is no longer subscribed. */
+    value: [change: { key: string; objectPath: string; propertyPath: string; value: any; updatedAt: number | null }];
+    /** A property's state changed, or it was forgotten (with a null state) once it has no consumers. */
+    state: [change: { key: string; state: Exclude<SubscriptionState, 'frozen'> | null; error: string | null }];
+    /** A value was written (`pending`), or its write was confirmed or rolled back (with an `error`). */
+    write: [write: { key: string; pending: boolean; value: any; error: string | null }];
+    offlineQueue: [length: number];
+    error: [error: string];
+}
+
+export interface ClientSubscription {
+    /** The key (`objectPath/propertyPath`) of each property, by property path. */
+    keys: Record<string, string>;
+    /** Writes a value, resolving once the server confirms it, or rejecting if it is rolled back. */
+    set: (propertyPath: string, value: any) => Promise<void>;
+    unsubscribe: () => void;
+}
+
+/**
+ * A live update connection without any dependency on Vue, reporting changes through events. `useLiveUpdate` is a
+ * reactive wrapper around it. Properties are identified by their key, `objectPath/propertyPath`.
+ */
+export class LiveUpdateClient {
+    /**
+     * Creates a client for a director. It does not connect until `connect()` is called.
+     * @param director - The director to connect to: host, host:port, or a full ws://, wss://, http:// or https:// URL.
+     * May be null when playing a recording.
+     */
+    constructor(director: string | null, config?: LiveUpdateClientConfiguration);
+    /** The WebSocket URL connected to. */
+    readonly url: string;
+    readonly status: ConnectionStatus;
+    readonly connectionInfo: string;
+    readonly closeCode: number | null;
+    readonly lastError: string | null;
+    readonly reconnectAttempts: number;
+    readonly nextReconnectAt: number | null;
+    /** A copy of the connection health. */
+    readonly health: LiveUpdateHealth;
+    readonly subscriptions: Array<Subscription>;
+    readonly offlineQueueLength: number;
+    getValue(key: string): any;
+    getUpdatedAt(key: string): number | null;
+    getState(key: string): { state: Exclude<SubscriptionState, 'frozen'>; error: string | null } | null;
+    /** Calls the listener with every event of the given name. Returns a function which removes the listener. */
+    on<E extends keyof LiveUpdateClientEvents>(event: E, listener: (...args: LiveUpdateClientEvents[E]) => void): () => void;
+    off<E extends keyof LiveUpdateClientEvents>(event: E, listener: (...args: LiveUpdateClientEvents[E]) => void): void;
+    /** Opens the connection, closing the current one first. */
+    connect(): void;
+    /** Closes the connection, which is not reconnected until `connect()` is called again. */
+    close(): void;
+    /** Merges a subscription's configuration over the client's defaults. */
+    resolveConfiguration(configuration?: SubscriptionConfiguration): {
+        serverConfiguration: { updateFrequencyMs?: number } | null;
+        updateFrequencyMs: number;
+        writeTimeoutMs: number;
+        writeIntervalMs: number | 'frame';
+    };
+    /** Subscribes to properties of an object. */
+    subscribe(objectPath: string, propertyPaths: string[], configuration?: Omit<SubscriptionConfiguration, 'staleAfterMs' | 'deep' | 'readyTimeoutMs'>): ClientSubscription;
+    /**
+     * Adds a consumer to properties of an object, subscribing those without other consumers on the server. Returns the
+     * key of each property, by property path. `subscribe` is usually more convenient.
+     */
+    retain(objectPath: string, propertyPaths: string[], serverConfiguration?: { updateFrequencyMs?: number } | null): Record<string, string>;
+    /** Removes a consumer from each key, unsubscribing those left without consumers on the server. */
+    release(keys: string[]): void;
+    /** Writes a value to a subscribed property. Objects may be partial, setting only the properties given. */
+    write(key: string, value: any, options?: { timeoutMs?: number; intervalMs?: number | 'frame' }): void;
+    /** Resolves once the write to a property is confirmed, or rejects with the error it was rolled back for. */
+    waitForWrite(key: string): Promise<void>;
+    /** Sends every value written inside the callback together, as one set message. */
+    batch(callback: () => void): Promise<void>;
+}
+
 export interface LiveUpdateOverlayProps {
-    liveUpdate: UseLiveUpdateReturn;
+    /** Defaults to the instance provided by the live update plugin. */
+    liveUpdate?: SharedLiveUpdate;
+    /** Shows the aggregate status of every shared connection on the page, instead of one instance. */
+    all?: boolean;
+    /** `'overlay'` blocks the page, while `'banner'` and `'toast'` leave it usable. Defaults to `'overlay'`. */
+    mode?: 'overlay' | 'banner' | 'toast';
+    /**
+     * Where the overlay's content, the banner or the toast is placed. Defaults to `'center'` for the overlay, `'top'`
+     * for the banner and `'bottom-right'` for the toast.
+     */
+    placement?: 'center' | 'top' | 'bottom' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+    /** Replaces the main message. */
+    message?: string;
+    /** Replaces any of the default strings, for translation. */
+    strings?: Partial<LiveUpdateOverlayStrings>;
+    /** Whether the close code, last error and reconnection countdown are shown. Defaults to true. */
+    showDetails?: boolean;
+    /** Colours, radius and z-index, set as CSS custom properties. */
+    theme?: LiveUpdateOverlayTheme;
+}
+
+/** A string shown by `LiveUpdateOverlay`, in which `{name}` is replaced by the named parameter, or a function of them. */
+export type LiveUpdateOverlayString<P extends Record<string, any> = {}> = string | ((parameters: P) => string);
+
+export interface LiveUpdateOverlayStrings {
+    message: LiveUpdateOverlayString;
+    reconnect: LiveUpdateOverlayString;
+    closeCode: LiveUpdateOverlayString<{ code: number }>;
+    lastError: LiveUpdateOverlayString<{ error: string }>;
+    connecting: LiveUpdateOverlayString;
+    reconnectCountdown: LiveUpdateOverlayString<{ seconds: number; attempt: number }>;
+}
+
+export interface LiveUpdateOverlayTheme {
+    backdrop?: string;
+    background?: string;
+    color?: string;
+    mutedColor?: string;
+    accent?: string;
+    accentHover?: string;
+    radius?: string;
+    zIndex?: number | string;
+}
+
+/** The props of each `LiveUpdateOverlay` slot: `default` (replacing all content), `message`, `details` and `actions`. */
+export interface LiveUpdateOverlaySlotProps {
+    status: ConnectionStatus;
+    connectionUserInfo: string;
+    closeCode: number | null;
+    lastError: string | null;
+    reconnectAttempts: number;
+    /** Seconds until the next automatic reconnection attempt, or null if none is scheduled. */
+    reconnectInSeconds: number | null;
+    reconnect: () => void;
+}
+
+export interface LiveUpdateConnectionOptions extends LiveUpdateConfiguration {
+    /** The director to connect to: host, host:port, or a full ws://, wss://, http:// or https:// URL. */
+    director: string;
+}
+
+/**
+ * The plugin connects to `director`, to named `connections`, or to both. Components retrieve the named connections
+ * with `injectLiveUpdate(name)`.
+ */
+export type LiveUpdatePluginOptions = LiveUpdateConfiguration & {
+    /** Whether to add the Live Update inspector and timeline to the Vue devtools. Defaults to true. */
+    devtools?: boolean;
+} & (
+    | { director: string; connections?: Record<string, LiveUpdateConnectionOptions> }
+    | { director?: string; connections: Record<string, LiveUpdateConnectionOptions> }
+);
+
+/** A shared connection, as listed by `useLiveUpdateConnections`. */
+export interface LiveUpdateConnection {
+    name: string;
+    url: string;
+    liveUpdate: SharedLiveUpdate;
+}
+
+/** The shared connections of the page, and their aggregate status. */
+export interface LiveUpdateConnections {
+    connections: ComputedRef<Array<LiveUpdateConnection>>;
+    /** `'CLOSED'` if any connection is closed, `'CONNECTING'` if any is connecting, and otherwise `'OPEN'`. */
+    status: ComputedRef<ConnectionStatus>;
+    /** The name and connection info of each connection which is not open. */
+    connectionUserInfo: ComputedRef<string>;
+    /** The close code of the first connection which is not open and has one. */
+    closeCode: ComputedRef<number | null>;
+    /** The last error of the first connection which is not open and has one. */
+    lastError: ComputedRef<string | null>;
+    /** The earliest automatic reconnection attempt due. */
+    nextReconnectAt: ComputedRef<number | null>;
+    /** Reconnects every connection which is not open. */
+    reconnect: () => void;
 }
 
 /**
  * Initializes the live update system with a WebSocket connection.
- * @param director - The WebSocket IP endpoint (host:port) to connect to.
+ * @param director - The director to connect to: host, host:port, or a full ws://, wss://, http:// or https:// URL.
  * @param config - Optional configuration object with default settings.
  * @returns The live update API including status, subscribe, autoSubscribe, and debugInfo.
  */
-export function useLiveUpdate(director: string, config?: SubscriptionConfiguration): UseLiveUpdateReturn;
+export function useLiveUpdate(director: string, config?: LiveUpdateConfiguration): UseLiveUpdateReturn;
+/**
+ * Plays a recording made with `recordLiveUpdate` instead of connecting to a director.
+ * @param director - `null`, as the recording is played in place of a connection.
+ * @param config - Configuration, including the recording to replay.
+ */
+export function useLiveUpdate(director: null, config: LiveUpdateConfiguration & { replay: ReplayConfiguration }): UseLiveUpdateReturn;
+
+/**
+ * Records every message sent and received by a live update connection, starting with the subscriptions and values
+ * it already holds. The recording is plain JSON, and can be replayed with the `replay` option of `useLiveUpdate`.
+ */
+export function recordLiveUpdate(liveUpdate: SharedLiveUpdate): LiveUpdateRecorder;
+
+/**
+ * The `format` of every recording.
+ */
+export const recordingFormat: 'disguise-liveupdate-recording';
+
+/**
+ * The built-in codecs: vectors (`{ x, y, z }` objects or arrays) as objects, rotations in degrees as objects in
+ * radians, transforms as objects of `offset`, `rotation` and `scale` vectors, and colours (`{ r, g, b, a }` objects or
+ * arrays, from 0 to 1) as hex or CSS rgba strings.
+ */
+export const valueCodecs: Record<BuiltInCodecName, ValueCodec>;
+
+/**
+ * Creates a Vue plugin which connects to the director once, and provides the live update instance to every component in the app.
+ * @param options - The director to connect to, and any configuration for `useLiveUpdate`.
+ */
+export function createLiveUpdatePlugin(options: LiveUpdatePluginOptions): Plugin;
+
+/**
+ * Returns the live update instance provided by `createLiveUpdatePlugin`, or one of its named `connections`.
+ * Throws if the plugin is not installed, or provides no such connection.
+ */
+export function injectLiveUpdate(name?: string): UseLiveUpdateReturn;
+
+/**
+ * Returns the shared connections of the page, and their aggregate status.
+ */
+export function useLiveUpdateConnections(): LiveUpdateConnections;
+
+/**
+ * Adds the Live Update inspector and timeline layer to the Vue devtools, showing every live update connection.
+ * Called by `createLiveUpdatePlugin`, so this is only needed by apps which do not use the plugin.
+ */
+export function setupLiveUpdateDevtools(app: App): void;
+
+/**
+ * The injection key under which the plugin provides the live update instance.
+ */
+export const liveUpdateKey: InjectionKey<UseLiveUpdateReturn>;
 
 /**
  * A Vue component that displays the connection status and provides reconnection functionality.
- * @param props - Component props including the liveUpdate instance
+ * @param props - Component props including the liveUpdate instance, which defaults to the one provided by the plugin
  */
 export const LiveUpdateOverlay: Component<LiveUpdateOverlayProps>; 
\ No newline at end of file
@@ -1,3 +1,9 @@
 export { useLiveUpdate } from './composables/useLiveUpdate';
+export { LiveUpdateClient } from './client/LiveUpdateClient';
+export { useLiveUpdateConnections } from './registry/liveUpdateRegistry';
 export { useSubscriptionVisibility } from './composables/useSubscriptionVisibility';
+export { valueCodecs } from './codecs/valueCodecs';
+export { createLiveUpdatePlugin, injectLiveUpdate, liveUpdateKey } from './plugin/liveUpdatePlugin';
+export { recordLiveUpdate, recordingFormat } from './recording/liveUpdateRecorder';
+export { setupLiveUpdateDevtools } from './devtools/liveUpdateDevtools';
 export { default as LiveUpdateOverlay } from './components/LiveUpdateOverlay.vue';
\ No newline at end of file
@@ -0,0 +1,72 @@
+// liveUpdatePlugin.js
+import { effectScope, inject } from 'vue'
+import { useLiveUpdate } from '../composables/useLiveUpdate'
+import { setupLiveUpdateDevtools } from '../devtools/liveUpdateDevtools'
+
+/**
+ * The injection key under which the plugin provides the shared live update instance.
+ */
+export const liveUpdateKey = Symbol('liveUpdate');
+
+// The injection key under which the plugin provides its named connections.
+const liveUpdateConnectionsKey = Symbol('liveUpdateConnections');
+
+/**
+ * Creates a Vue plugin which connects to the director once, and provides the live update
+ * instance to every component in the app. Components retrieve it with `injectLiveUpdate`.
+ * @param {Object} options - Plugin options.
+ * @param {string} [options.director] - The WebSocket endpoint (director) to connect to. Required unless `connections` are given.
+ * @param {Object} [options.connections] - Further connections, by name, each with a `director` and its own configuration.
+ * Components retrieve them with `injectLiveUpdate(name)`.
+ * @param {boolean} [options.devtools=true] - Whether to add the Live Update inspector and timeline to the Vue devtools.
+ * @param {...*} options.config - Any other options are passed to `useLiveUpdate` as its configuration.
+ * @returns {Object} - The Vue plugin, to pass to `app.use`.
+ */
+export function createLiveUpdatePlugin({ director, connections = {}, devtools = true, ...config } = {}) {
+    return {
+        install(app) {
+            // The connections belong to the app rather than to any component, so they are
+            // created in their own scope, and released when the app is unmounted.
+            const scope = effectScope(true);
+            const { liveUpdate, namedConnections } = scope.run(() => ({
+                liveUpdate: director || Object.keys(connections).length === 0 ? useLiveUpdate(director, config) : null,
+                namedConnections: Object.fromEntries(Object.entries(connections).map(([name, { director: connectionDirector, ...connectionConfig }]) =>
+                    [name, useLiveUpdate(connectionDirector, { name, ...connectionConfig })]))
+            }));
+            app.onUnmount(() => scope.stop());
+
+            if (liveUpdate) {
+                app.provide(liveUpdateKey, liveUpdate);
+            }
+            app.provide(liveUpdateConnectionsKey, namedConnections);
+
+            if (devtools) {
+                setupLiveUpdateDevtools(app);
+            }
+        }
+    };
+}
+
+/**
+ * Returns the live update instance provided by `createLiveUpdatePlugin`, or one of its named connections.
+ * Must be called within a component's `setup`.
+ * @param {string} [name] - The name of one of the plugin's `connections`.
+ * @returns {Object} - The shared live update API.
+ */
+export function injectLiveUpdate(name) {
+    if (name !== undefined) {
+        const liveUpdate = inject(liveUpdateConnectionsKey, {})[name];
+        if (!liveUpdate) {
+            console.error(`Error: no live update connection named '${name}' was provided. Add it to the plugin's connections.`);
+            throw new Error(`No live update connection named '${name}' was provided. Add it to the plugin's connections.`);
+        }
+        return liveUpdate;
+    }
+
+    const liveUpdate = inject(liveUpdateKey, null);
+    if (!liveUpdate) {
+        console.error("Error: no live update instance was provided. Install the plugin with app.use(createLiveUpdatePlugin({ director })).");
+        throw new Error("No live update instance was provided. Install the plugin with app.use(createLiveUpdatePlugin({ director })).");
+    }
+    return liveUpdate;
+}
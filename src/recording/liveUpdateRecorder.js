@@ -0,0 +1,69 @@
+// liveUpdateRecorder.js
+
+/**
+ * Identifies the recording format. Recordings are plain JSON:
+ *
+ *     {
+ *       "format": "disguise-liveupdate-recording",
+ *       "version": 1,
+ *       "url": "ws://director:80/api/session/liveupdate",
+ *       "startedAt": "2025-01-01T12:00:00.000Z",
+ *       "messages": [
+ *         { "time": 0, "direction": "out", "message": { "subscribe": { ... } } },
+ *         { "time": 12, "direction": "in", "message": { "subscriptions": [ ... ] } }
+ *       ]
+ *     }
+ *
+ * `time` is in milliseconds since the recording started, `direction` is "out" for messages sent to the
+ * server and "in" for messages received from it, and `message` is the protocol message as sent.
+ */
+export const recordingFormat = 'disguise-liveupdate-recording';
+export const recordingVersion = 1;
+
+/**
+ * Records every message sent and received by a live update connection.
+ * The subscriptions and values the connection already holds are recorded first, at time 0, so that
+ * recordings started part way through a session can still be replayed.
+ * @param {Object} liveUpdate - The live update API to record.
+ * @returns {Object} - `{ recording, stop }`. `recording` fills as messages are recorded, and `stop()`
+ * ends the recording and returns it.
+ */
+export function recordLiveUpdate(liveUpdate) {
+    const { url, subscriptions, values, onMessage } = liveUpdate.debugInfo;
+    const startedAt = Date.now();
+    const recording = {
+        format: recordingFormat,
+        version: recordingVersion,
+        url,
+        startedAt: new Date(startedAt).toISOString(),
+        messages: []
+    };
+
+    function record(direction, message, time = Date.now() - startedAt) {
+        recording.messages.push({
+            time,
+            direction,
+            message: JSON.parse(JSON.stringify(message))
+        });
+    }
+
+    if (subscriptions.value.length > 0) {
+        record('in', { subscriptions: subscriptions.value }, 0);
+        const currentValues = subscriptions.value
+            .filter(({ objectPath, propertyPath }) => values[`${objectPath}/${propertyPath}`] !== undefined)
+            .map(({ id, objectPath, propertyPath }) => ({ id, value: values[`${objectPath}/${propertyPath}`] }));
+        if (currentValues.length > 0) {
+            record('in', { valuesChanged: currentValues }, 0);
+        }
+    }
+
+    const stopListening = onMessage(record);
+
+    return {
+        recording,
+        stop() {
+            stopListening();
+            return recording;
+        }
+    };
+}
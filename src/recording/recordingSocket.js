@@ -0,0 +1,224 @@
+// recordingSocket.js
+import { recordingFormat } from './liveUpdateRecorder'
+import { mergeWrittenValue } from '../client/partialSet.js'
+
+/**
+ * Throws if the recording cannot be played, or the playback speed is invalid.
+ * @param {Object} options - The recording, and playback options.
+ */
+export function validateReplay({ recording, speed = 1 }) {
+    if (recording?.format !== recordingFormat || !Array.isArray(recording.messages)) {
+        console.error(`Error: not a live update recording. Expected an object with format '${recordingFormat}' and a messages array.`);
+        throw new Error('Not a live update recording');
+    }
+    if (!(speed > 0)) {
+        console.error(`Error: invalid replay speed ${speed}. The speed must be greater than 0.`);
+        throw new Error(`Invalid replay speed: ${speed}`);
+    }
+}
+
+// Reads the values each key held over the course of a recording, from the messages the server sent.
+function readRecording(recording) {
+    const keys = new Set();
+    const events = []; // { time, key, value }, in the order they were received
+    const errors = [];
+    let idToKey = {};
+    recording.messages.filter(({ direction }) => direction === 'in').forEach(({ time, message }) => {
+        if (message.subscriptions) {
+            idToKey = {};
+            message.subscriptions.forEach(({ id, objectPath, propertyPath }) => {
+                const key = `${objectPath}/${propertyPath}`;
+                idToKey[id] = key;
+                keys.add(key);
+            });
+        }
+        message.valuesChanged?.forEach(({ id, value }) => {
+            if (idToKey[id] !== undefined) {
+                events.push({ time, key: idToKey[id], value });
+            }
+        });
+        if (message.error) {
+            errors.push(String(message.error));
+        }
+    });
+
+    const duration = recording.messages.reduce((latest, { time }) => Math.max(latest, time), 0);
+    return { keys, events, errors, duration };
+}
+
+// WebSocket ready states.
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Plays a recording made with `recordLiveUpdate` in place of a WebSocket connection, with the same
+ * interface as a WebSocket. It answers subscriptions to any property in the recording with the value it
+ * held at that point in the recording, plays back the recorded changes in real time, and applies set
+ * messages until the recording next changes the value. Each socket plays the recording from the start.
+ * @param {Object} recording - The recording to play.
+ * @param {Object} [options] - Playback options.
+ * @param {boolean} [options.loop=false] - Whether to start the recording again once it ends.
+ * @param {number} [options.speed=1] - Playback speed, where 2 plays the recording at twice the speed.
+ * @returns {EventTarget} - A socket with `readyState`, `send` and `close`, which dispatches open, message and close events.
+ */
+export function createRecordingSocket(recording, { loop = false, speed = 1 } = {}) {
+    validateReplay({ recording, speed });
+    const { keys, events, errors, duration } = readRecording(recording);
+
+    const socket = new EventTarget();
+    socket.url = recording.url;
+    socket.readyState = CONNECTING;
+    const timers = new Set();
+
+    // The state of the session.
+    const keyToId = {};
+    const idToKey = {};
+    let nextId = 0;
+    const currentValues = initialValues();
+    let position = 0; // index of the next event to play
+    let startedAt = 0;
+
+    function setTimer(callback, delayMs) {
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            callback();
+        }, delayMs);
+        timers.add(timer);
+    }
+
+    // Each property starts with the first value recorded for it.
+    function initialValues() {
+        const values = {};
+        events.forEach(({ key, value }) => {
+            if (!(key in values)) {
+                values[key] = value;
+            }
+        });
+        return values;
+    }
+
+    function dispatch(type, properties = {}) {
+        socket.dispatchEvent(Object.assign(new Event(type), properties));
+    }
+
+    function deliver(message) {
+        setTimer(() => {
+            if (socket.readyState !== OPEN) return;
+            dispatch('message', { data: JSON.stringify(message) });
+        }, 0);
+    }
+
+    function subscriptionList() {
+        return Object.entries(idToKey).map(([id, key]) => {
+            const separator = key.indexOf('/');
+            return { id: Number(id), objectPath: key.slice(0, separator), propertyPath: key.slice(separator + 1) };
+        });
+    }
+
+    function errorFor(propertyPath) {
+        return errors.find((error) => error.includes(propertyPath))
+            ?? `propertyPath '${propertyPath}' not found in the recording`;
+    }
+
+    function scheduleNextEvent() {
+        if (position >= events.length) {
+            if (!loop || duration === 0) return;
+            position = 0;
+            startedAt += duration / speed;
+        }
+        const dueAt = startedAt + events[position].time / speed;
+        setTimer(playDueEvents, Math.max(0, dueAt - Date.now()));
+    }
+
+    function playDueEvents() {
+        const elapsed = (Date.now() - startedAt) * speed;
+        const changes = [];
+        while (position < events.length && events[position].time <= elapsed) {
+            const { key, value } = events[position++];
+            currentValues[key] = value;
+            if (keyToId[key] !== undefined) {
+                changes.push({ id: keyToId[key], value });
+            }
+        }
+        if (changes.length > 0) {
+            deliver({ valuesChanged: changes });
+        }
+        scheduleNextEvent();
+    }
+
+    function handleClientMessage(data) {
+        const message = JSON.parse(data);
+
+        if (message.subscribe) {
+            const { object, properties } = message.subscribe;
+            const values = [];
+            properties.forEach((propertyPath) => {
+                const key = `${object}/${propertyPath}`;
+                if (!keys.has(key)) {
+                    deliver({ error: errorFor(propertyPath) });
+                    return;
+                }
+                if (keyToId[key] === undefined) {
+                    keyToId[key] = nextId;
+                    idToKey[nextId++] = key;
+                }
+                if (key in currentValues) {
+                    values.push({ id: keyToId[key], value: currentValues[key] });
+                }
+            });
+            deliver({ subscriptions: subscriptionList() });
+            if (values.length > 0) {
+                deliver({ valuesChanged: values });
+            }
+        }
+
+        if (message.unsubscribe) {
+            message.unsubscribe.ids.forEach((id) => {
+                delete keyToId[idToKey[id]];
+                delete idToKey[id];
+            });
+            deliver({ subscriptions: subscriptionList() });
+        }
+
+        if (message.set) {
+            const changes = [];
+            message.set.forEach(({ id, value }) => {
+                const key = idToKey[id];
+                if (key === undefined) {
+                    deliver({ error: `Subscription with ID ${id} not found` });
+                    return;
+                }
+                currentValues[key] = mergeWrittenValue(currentValues[key], value);
+                changes.push({ id, value: currentValues[key] });
+            });
+            if (changes.length > 0) {
+                deliver({ valuesChanged: changes });
+            }
+        }
+    }
+
+    socket.send = (data) => {
+        if (socket.readyState !== OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        handleClientMessage(data);
+    };
+
+    socket.close = (code = 1000, reason = '') => {
+        if (socket.readyState === CLOSED) return;
+        timers.forEach((timer) => clearTimeout(timer));
+        timers.clear();
+        socket.readyState = CLOSED;
+        dispatch('close', { code, reason });
+    };
+
+    setTimer(() => {
+        socket.readyState = OPEN;
+        startedAt = Date.now();
+        dispatch('open');
+        scheduleNextEvent();
+    }, 0);
+
+    return socket;
+}
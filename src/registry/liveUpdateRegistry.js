@@ -0,0 +1,117 @@
+// liveUpdateRegistry.js
+import { computed, effectScope, shallowReactive } from 'vue'
+import { tryOnScopeDispose } from '@vueuse/core'
+import { resolveSocketUrl } from '../client/LiveUpdateClient'
+
+// The shared connections of the page: { name, url, transport, configuration, liveUpdate, scope, users }
+const connections = shallowReactive(new Set());
+
+// Whether two configurations are the same, comparing plain objects and arrays by their contents.
+function sameConfiguration(first, second) {
+    if (Object.is(first, second)) return true;
+    const isPlain = (value) => Array.isArray(value) || Object.getPrototypeOf(value ?? 0) === Object.prototype;
+    if (!isPlain(first) || !isPlain(second) || Array.isArray(first) !== Array.isArray(second)) return false;
+    const firstKeys = Object.keys(first);
+    return firstKeys.length === Object.keys(second).length
+        && firstKeys.every((key) => Object.hasOwn(second, key) && sameConfiguration(first[key], second[key]));
+}
+
+function release(entry) {
+    entry.users--;
+    if (entry.users > 0) return;
+    connections.delete(entry);
+    entry.scope.stop();
+}
+
+/**
+ * Returns the shared live update instance for a director, creating it if there is none. Connections
+ * are shared by URL and transport, so calls with a different `WebSocket` or `createWebSocket` (such
+ * as two mock servers) get their own. The instance belongs to the registry rather than to the caller,
+ * and is closed once every effect scope which acquired it has been disposed.
+ * @param {string} director - The director to connect to.
+ * @param {Object} config - The configuration, including the optional connection `name`.
+ * @param {Function} create - Creates the instance, when there is none for the director.
+ * @returns {Object} - The shared live update API, whose `dispose` releases only this caller's use of it.
+ */
+export function acquireLiveUpdate(director, config, create) {
+    const url = resolveSocketUrl(director, config);
+    const { name = director, ...configuration } = config;
+    // The global WebSocket is used when neither is given.
+    const transport = config.createWebSocket ?? config.WebSocket ?? null;
+
+    // Only names which were given can conflict, as a director may be used with different paths.
+    const named = config.name !== undefined && [...connections].find((entry) => entry.name === name);
+    if (named && named.url !== url) {
+        console.error(`Error: a live update connection named '${name}' already connects to ${named.url}.`);
+        throw new Error(`A live update connection named '${name}' already connects to ${named.url}.`);
+    }
+
+    let entry = [...connections].find((existing) => existing.url === url && existing.transport === transport);
+    if (entry) {
+        if (!sameConfiguration(entry.configuration, configuration)) {
+            console.warn(`Live Update: ${url} is already connected with a different configuration. The existing connection is shared, and the new configuration is ignored.`);
+        }
+    } else {
+        const scope = effectScope(true);
+        try {
+            // The instance is disposed with its scope, once every caller has released it.
+            const { dispose, ...liveUpdate } = scope.run(create);
+            entry = { name, url, transport, configuration, scope, users: 0, liveUpdate };
+        } catch (err) {
+            scope.stop();
+            throw err;
+        }
+        connections.add(entry);
+    }
+
+    entry.users++;
+    let released = false;
+    const releaseOnce = () => {
+        if (released) return;
+        released = true;
+        release(entry);
+    };
+    tryOnScopeDispose(releaseOnce);
+    // Each caller has its own copy, so that disposing it releases only that caller's use of the connection.
+    return { ...entry.liveUpdate, dispose: releaseOnce };
+}
+
+/**
+ * Returns the shared live update connections of the page, and their aggregate status, which has the
+ * same shape as a live update instance's, so it can be shown by `LiveUpdateOverlay`.
+ * @returns {Object} - `{ connections, status, connectionUserInfo, closeCode, lastError, nextReconnectAt,
+ * reconnect }`. `connections` lists `{ name, url, liveUpdate }`; `status` is 'CLOSED' if any connection is
+ * closed, 'CONNECTING' if any is connecting, and otherwise 'OPEN'; `closeCode` and `lastError` are those
+ * of the first connection which is not open and has one; `nextReconnectAt` is the earliest reconnection
+ * due; and `reconnect()` reconnects every connection which is not open.
+ */
+export function useLiveUpdateConnections() {
+    const list = computed(() => [...connections].map(({ name, url, liveUpdate }) => ({ name, url, liveUpdate })));
+    const notOpen = computed(() => list.value.filter(({ liveUpdate }) => liveUpdate.status.value !== 'OPEN'));
+
+    const status = computed(() => {
+        const statuses = notOpen.value.map(({ liveUpdate }) => liveUpdate.status.value);
+        if (statuses.includes('CLOSED')) return 'CLOSED';
+        return statuses.length > 0 ? 'CONNECTING' : 'OPEN';
+    });
+    const connectionUserInfo = computed(() => notOpen.value
+        .map(({ name, liveUpdate }) => `${name}: ${liveUpdate.connectionUserInfo.value || liveUpdate.status.value}`)
+        .join('; '));
+    const firstOf = (property) => computed(() => notOpen.value
+        .map(({ liveUpdate }) => liveUpdate[property].value)
+        .find((value) => value !== null) ?? null);
+    const nextReconnectAt = computed(() => {
+        const times = notOpen.value.map(({ liveUpdate }) => liveUpdate.nextReconnectAt.value).filter((time) => time !== null);
+        return times.length > 0 ? Math.min(...times) : null;
+    });
+
+    return {
+        connections: list,
+        status,
+        connectionUserInfo,
+        closeCode: firstOf('closeCode'),
+        lastError: firstOf('lastError'),
+        nextReconnectAt,
+        reconnect: () => notOpen.value.forEach(({ liveUpdate }) => liveUpdate.reconnect())
+    };
+}
@@ -0,0 +1,137 @@
+// devServer.js
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { extname, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer } from 'ws';
+import YAML from 'yaml';
+import { createLiveUpdateSession } from './liveUpdateSession.js';
+import { createGenerator } from './sceneGenerators.js';
+
+export const defaultPath = '/api/session/liveupdate';
+
+/**
+ * Loads a scene from a JSON, YAML or JavaScript file. JavaScript scenes are modules whose default
+ * export is the scene, so generators can be scripted as functions.
+ *
+ *     objects:
+ *       screen2:surface_1:
+ *         offset: { x: 0, y: 0, z: 0 }
+ *     generators:
+ *       - object: screen2:surface_1
+ *         property: object.offset.x
+ *         type: sine
+ *         min: -1
+ *         max: 1
+ *         periodMs: 4000
+ *
+ * @param {string} file - The path of the scene file.
+ * @returns {Promise<Object>} - The scene, with `objects` and `generators`.
+ */
+export async function loadScene(file) {
+    const extension = extname(file).toLowerCase();
+    let scene;
+    if (extension === '.json') {
+        scene = JSON.parse(await readFile(file, 'utf8'));
+    } else if (extension === '.yaml' || extension === '.yml') {
+        scene = YAML.parse(await readFile(file, 'utf8'));
+    } else if (extension === '.js' || extension === '.mjs') {
+        scene = (await import(pathToFileURL(resolve(file)).href)).default;
+    } else {
+        throw new Error(`Unsupported scene file '${file}'. Expected a .json, .yaml, .yml, .js or .mjs file.`);
+    }
+    validateScene(scene);
+    return scene;
+}
+
+function validateScene(scene) {
+    if (typeof scene?.objects !== 'object' || scene.objects === null || Array.isArray(scene.objects)) {
+        throw new Error("A scene needs an 'objects' map, from object paths to their properties.");
+    }
+    if (scene.generators !== undefined && !Array.isArray(scene.generators)) {
+        throw new Error("A scene's 'generators' must be an array.");
+    }
+}
+
+// Changes each generator's property every `intervalMs`, until stopped.
+function startGenerators(session, generators = []) {
+    // Every generator is checked before any starts.
+    const valueFunctions = generators.map((generator, index) => {
+        const nextValue = createGenerator(generator, index);
+        if (session.getValue(generator.object, generator.property) === undefined) {
+            throw new Error(`Generator ${index} changes '${generator.property}' of '${generator.object}', which is not in the scene.`);
+        }
+        return nextValue;
+    });
+
+    const startedAt = Date.now();
+    const timers = generators.map(({ object, property, intervalMs = 100 }, index) => {
+        let tick = 0;
+        return setInterval(() => {
+            const value = valueFunctions[index]({ elapsedMs: Date.now() - startedAt, tick: tick++, value: session.getValue(object, property) });
+            session.change(object, property, value);
+        }, intervalMs);
+    });
+    return () => timers.forEach((timer) => clearInterval(timer));
+}
+
+/**
+ * Starts a live update server for development, which serves a scene over a real WebSocket in place of
+ * a director. It answers subscriptions and applies set messages as the director does, and animates
+ * the properties the scene's generators change.
+ * @param {Object} scene - The scene, as returned by `loadScene`.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.port=8080] - The port to listen on, or 0 for any free port.
+ * @param {string} [options.host='localhost'] - The host to listen on.
+ * @param {string} [options.path='/api/session/liveupdate'] - The path of the live update endpoint.
+ * @param {number} [options.updateFrequencyMs=0] - The update frequency of subscriptions which don't configure one.
+ * @returns {Promise<Object>} - Once listening, `{ port, url, session, close }`. `close()` stops the
+ * server, and returns a promise which resolves once it has stopped.
+ */
+export async function startDevServer(scene, { port = 8080, host = 'localhost', path = defaultPath, updateFrequencyMs = 0 } = {}) {
+    validateScene(scene);
+    const session = createLiveUpdateSession(scene.objects, { updateFrequencyMs });
+    const stopGenerators = startGenerators(session, scene.generators);
+
+    const httpServer = createServer((request, response) => {
+        response.writeHead(404, { 'Content-Type': 'text/plain' });
+        response.end(`This is a live update dev server. Connect a WebSocket to ${path}.\n`);
+    });
+    const webSocketServer = new WebSocketServer({ server: httpServer, path });
+
+    webSocketServer.on('connection', (socket) => {
+        const connection = session.connect((message) => socket.send(JSON.stringify(message)));
+        socket.on('message', (data) => {
+            // A malformed message is answered with an error, rather than stopping the server.
+            try {
+                connection.receive(JSON.parse(data));
+            } catch (err) {
+                socket.send(JSON.stringify({ error: `Invalid message: ${err.message}` }));
+            }
+        });
+        socket.on('close', () => connection.close());
+    });
+
+    try {
+        await new Promise((resolvePromise, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(port, host, resolvePromise);
+        });
+    } catch (err) {
+        stopGenerators();
+        throw err;
+    }
+
+    const listeningPort = httpServer.address().port;
+    return {
+        port: listeningPort,
+        url: `ws://${host}:${listeningPort}${path}`,
+        session,
+        close() {
+            stopGenerators();
+            webSocketServer.clients.forEach((socket) => socket.terminate());
+            webSocketServer.close();
+            return new Promise((resolvePromise) => httpServer.close(() => resolvePromise()));
+        }
+    };
+}
@@ -0,0 +1,183 @@
+// liveUpdateSession.js
+import { mergeWrittenValue } from '../client/partialSet.js';
+
+// Splits a property path into the keys to follow from the object. The `object.` prefix is optional,
+// and array elements may be written as `layers[0]` or `layers.0`.
+function pathKeys(propertyPath) {
+    return propertyPath.replace(/^object\./, '').replace(/\[(\d+)\]/g, '.$1').split('.').filter((key) => key !== '');
+}
+
+// Whether a change to one property path also changes the other, because one contains the other.
+function pathsOverlap(first, second) {
+    const firstKeys = pathKeys(first);
+    const secondKeys = pathKeys(second);
+    const length = Math.min(firstKeys.length, secondKeys.length);
+    return firstKeys.slice(0, length).every((key, index) => key === secondKeys[index]);
+}
+
+/**
+ * Holds the objects of a session, and answers the live update protocol for any number of connections,
+ * as the server does. The transport is left to the caller: the mock server of the testing entry point
+ * and the dev server both use it.
+ * Subscriptions are answered with values read from `objects`, set messages are applied to them, and
+ * changes are sent to every subscriber, no more often than each subscription's `updateFrequencyMs`.
+ * @param {Object} objects - The objects, by object path. Property paths are read from each object, so
+ * `object.offset.x` reads `objects[objectPath].offset.x`. The objects are copied.
+ * @param {Object} [options] - Session options.
+ * @param {number} [options.updateFrequencyMs=0] - The update frequency of subscriptions which don't configure one.
+ * @returns {Object} - The session.
+ */
+export function createLiveUpdateSession(objects = {}, { updateFrequencyMs = 0 } = {}) {
+    const state = structuredClone(objects);
+    const connections = new Set();
+    let nextId = 0; // IDs are global across connections, as they are on the server
+    let writeError = null;
+
+    function getValue(objectPath, propertyPath) {
+        return pathKeys(propertyPath).reduce((value, key) => value?.[key], state[objectPath]);
+    }
+
+    // Objects are merged by partial sets, as the server does.
+    function setValue(objectPath, propertyPath, value) {
+        const keys = pathKeys(propertyPath);
+        const last = keys.pop();
+        const parent = keys.reduce((container, key) => container?.[key], state[objectPath]);
+        if (typeof parent !== 'object' || parent === null || last === undefined) {
+            throw new Error(`Property '${propertyPath}' of '${objectPath}' not found`);
+        }
+        parent[last] = mergeWrittenValue(parent[last], value);
+    }
+
+    // Sends the changed value to each subscriber, once its update frequency allows.
+    function notifyChange(objectPath, propertyPath) {
+        connections.forEach((connection) => {
+            const changes = [];
+            connection.subscriptions.forEach((subscription) => {
+                if (subscription.objectPath !== objectPath || !pathsOverlap(subscription.propertyPath, propertyPath)) return;
+                if (subscription.timer !== null) return; // the latest value is sent when the timer fires
+                const waitMs = subscription.lastSentAt + subscription.updateFrequencyMs - Date.now();
+                if (waitMs <= 0) {
+                    subscription.lastSentAt = Date.now();
+                    changes.push({ id: subscription.id, value: getValue(objectPath, subscription.propertyPath) });
+                } else {
+                    subscription.timer = setTimeout(() => {
+                        subscription.timer = null;
+                        subscription.lastSentAt = Date.now();
+                        connection.send({ valuesChanged: [{ id: subscription.id, value: getValue(objectPath, subscription.propertyPath) }] });
+                    }, waitMs);
+                }
+            });
+            if (changes.length > 0) {
+                connection.send({ valuesChanged: changes });
+            }
+        });
+    }
+
+    /**
+     * Adds a connection to the session.
+     * @param {Function} send - Sends a message, as an object, to the client.
+     * @returns {Object} - `{ receive, close }`. Pass each message from the client, parsed, to `receive`,
+     * and call `close` once the connection closes.
+     */
+    function connect(send) {
+        const subscriptions = new Map(); // key -> { id, objectPath, propertyPath, count, updateFrequencyMs, lastSentAt, timer }
+        const connection = { subscriptions, send };
+        connections.add(connection);
+
+        function sendSubscriptions() {
+            send({
+                subscriptions: [...subscriptions.values()].map(({ id, objectPath, propertyPath }) => ({ id, objectPath, propertyPath }))
+            });
+        }
+
+        function findById(id) {
+            return [...subscriptions.entries()].find(([, subscription]) => subscription.id === id);
+        }
+
+        function receive(message) {
+            if (message.subscribe) {
+                const { object, properties, configuration = {} } = message.subscribe;
+                const values = [];
+                properties.forEach((propertyPath) => {
+                    if (getValue(object, propertyPath) === undefined) {
+                        send({ error: `propertyPath '${propertyPath}' not found` });
+                        return;
+                    }
+                    const key = `${object}/${propertyPath}`;
+                    if (!subscriptions.has(key)) {
+                        subscriptions.set(key, { id: nextId++, objectPath: object, propertyPath, count: 0, lastSentAt: 0, timer: null });
+                    }
+                    const subscription = subscriptions.get(key);
+                    subscription.count++;
+                    subscription.updateFrequencyMs = configuration.updateFrequencyMs ?? updateFrequencyMs;
+                    subscription.lastSentAt = Date.now();
+                    values.push({ id: subscription.id, value: getValue(object, propertyPath) });
+                });
+                sendSubscriptions();
+                if (values.length > 0) {
+                    send({ valuesChanged: values });
+                }
+            }
+
+            if (message.unsubscribe) {
+                message.unsubscribe.ids.forEach((id) => {
+                    const entry = findById(id);
+                    if (!entry) {
+                        send({ error: `Subscription with ID ${id} not found` });
+                        return;
+                    }
+                    const [key, subscription] = entry;
+                    if (--subscription.count <= 0) {
+                        clearTimeout(subscription.timer);
+                        subscriptions.delete(key);
+                    }
+                });
+                sendSubscriptions();
+            }
+
+            if (message.set) {
+                message.set.forEach(({ id, value }) => {
+                    const [, subscription] = findById(id) ?? [];
+                    if (!subscription) {
+                        send({ error: `Subscription with ID ${id} not found` });
+                        return;
+                    }
+                    if (writeError !== null) {
+                        send({ error: writeError });
+                        return;
+                    }
+                    setValue(subscription.objectPath, subscription.propertyPath, value);
+                    notifyChange(subscription.objectPath, subscription.propertyPath);
+                });
+            }
+        }
+
+        function close() {
+            connections.delete(connection);
+            subscriptions.forEach(({ timer }) => clearTimeout(timer));
+        }
+
+        return { receive, close };
+    }
+
+    return {
+        connect,
+        getValue,
+        /**
+         * Changes a value, as if it changed in the session, and sends it to subscribers.
+         * Objects are merged, as with partial sets.
+         */
+        change(objectPath, propertyPath, value) {
+            setValue(objectPath, propertyPath, value);
+            notifyChange(objectPath, propertyPath);
+        },
+        /** Sends an error message to every connection. */
+        sendError(error) {
+            connections.forEach((connection) => connection.send({ error }));
+        },
+        /** Answers set messages with an error rather than applying them, until called with `null`. */
+        rejectWrites(error) {
+            writeError = error;
+        }
+    };
+}
@@ -0,0 +1,42 @@
+// sceneGenerators.js
+
+/**
+ * The built-in generator types. Each is given the generator's options from the scene file, and returns
+ * a function from `{ elapsedMs, tick, value }` to the next value.
+ */
+export const generatorTypes = {
+    // Oscillates between min and max.
+    sine: ({ min = 0, max = 1, periodMs = 1000 }) =>
+        ({ elapsedMs }) => min + (max - min) * (1 + Math.sin(2 * Math.PI * elapsedMs / periodMs)) / 2,
+    // Rises from min to max, then starts again from min.
+    sawtooth: ({ min = 0, max = 1, periodMs = 1000 }) =>
+        ({ elapsedMs }) => min + (max - min) * ((elapsedMs % periodMs) / periodMs),
+    random: ({ min = 0, max = 1 }) =>
+        () => min + Math.random() * (max - min),
+    // Steps through the values, one per tick.
+    sequence: ({ values }) =>
+        ({ tick }) => values[tick % values.length]
+};
+
+/**
+ * Creates the value function of a generator from the scene file. Scripted scenes (JavaScript modules)
+ * may give the function as `value` instead of a `type`.
+ * @param {Object} generator - The generator, with `object`, `property`, and either `type` or `value`.
+ * @param {number} index - The index of the generator in the scene, for errors.
+ * @returns {Function} - The value function.
+ */
+export function createGenerator(generator, index) {
+    if (typeof generator?.object !== 'string' || typeof generator.property !== 'string') {
+        throw new Error(`Generator ${index} needs an 'object' path and a 'property' path.`);
+    }
+    if (typeof generator.value === 'function') {
+        return generator.value;
+    }
+    if (!Object.hasOwn(generatorTypes, generator.type)) {
+        throw new Error(`Generator ${index} has an unknown type '${generator.type}'. Expected one of: ${Object.keys(generatorTypes).join(', ')}, or a 'value' function.`);
+    }
+    if (generator.type === 'sequence' && !(Array.isArray(generator.values) && generator.values.length > 0)) {
+        throw new Error(`Generator ${index} needs a 'values' array.`);
+    }
+    return generatorTypes[generator.type](generator);
+}
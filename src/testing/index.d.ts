@@ -0,0 +1,64 @@
+import { Component } from 'vue';
+import type { ComponentMountingOptions, VueWrapper } from '@vue/test-utils';
+import type { LiveUpdatePluginOptions, UseLiveUpdateReturn, WebSocketLike } from '../index';
+
+export interface MockLiveUpdateServerOptions {
+    /** How long the server takes to open connections and to send each message, in milliseconds. Defaults to 0. */
+    latencyMs?: number;
+    /** The update frequency of subscriptions which don't configure one, in milliseconds. Defaults to 0. */
+    updateFrequencyMs?: number;
+}
+
+export interface MockLiveUpdateServer {
+    /** The WebSocket constructor to pass as the `WebSocket` option. */
+    WebSocket: new (url: string) => WebSocketLike & EventTarget;
+    /** The messages the server has received, parsed, in the order they arrived. */
+    readonly received: Array<Record<string, any>>;
+    /** The number of open connections. */
+    readonly connectionCount: number;
+    getValue(objectPath: string, propertyPath: string): any;
+    /** Changes a value on the server, as if it changed in the session, and sends it to subscribers. Objects are merged, as with partial sets. */
+    simulateChange(objectPath: string, propertyPath: string, value: any): void;
+    /** Sets how long the server takes to open connections and to send each message. */
+    setLatency(ms: number): void;
+    /** Sends an error message to every connection. */
+    sendError(error: string): void;
+    /** Answers set messages with an error rather than applying them, until called with `null`. */
+    rejectWrites(error?: string | null): void;
+    /** Fails new connections, as an unreachable server would, until called with `false`. */
+    refuseConnections(refuse?: boolean): void;
+    /** Keeps connections open but ignores and answers nothing, as a hung server would, until called with `false`. */
+    stopResponding(stop?: boolean): void;
+    /** Drops every open connection, with the given close code. Defaults to 1006. */
+    disconnectAll(code?: number): void;
+    /** Drops every connection, and refuses new ones. */
+    close(): void;
+}
+
+/**
+ * Creates an in-memory live update server for tests. Pass `server.WebSocket` as the `WebSocket` option.
+ * @param objects - The objects the server holds, by object path. They are copied.
+ * @param options - Latency and default update frequency.
+ */
+export function createMockLiveUpdateServer(objects?: Record<string, any>, options?: MockLiveUpdateServerOptions): MockLiveUpdateServer;
+
+export type MountWithLiveUpdateOptions<T> = ComponentMountingOptions<T> & {
+    /** The mock server to connect to. By default, a new one is created from `objects`. */
+    server?: MockLiveUpdateServer;
+    /** The objects to create the mock server with. */
+    objects?: Record<string, any>;
+    /** Options for `createLiveUpdatePlugin`. The director defaults to `localhost`, and the devtools are disabled by default. */
+    liveUpdate?: Partial<LiveUpdatePluginOptions>;
+};
+
+export interface MountWithLiveUpdateResult {
+    wrapper: VueWrapper<any>;
+    server: MockLiveUpdateServer;
+    /** The live update instance the plugin provides. */
+    liveUpdate: UseLiveUpdateReturn;
+}
+
+/**
+ * Mounts a component with `@vue/test-utils`, with the live update plugin installed and connected to a mock server.
+ */
+export function mountWithLiveUpdate<T extends Component>(component: T, options?: MountWithLiveUpdateOptions<T>): MountWithLiveUpdateResult;
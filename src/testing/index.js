@@ -0,0 +1,2 @@
+export { createMockLiveUpdateServer } from './mockLiveUpdateServer';
+export { mountWithLiveUpdate } from './mountWithLiveUpdate';
@@ -0,0 +1,141 @@
+// mockLiveUpdateServer.js
+import { createLiveUpdateSession } from '../server/liveUpdateSession'
+
+// WebSocket ready states.
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+function dispatch(socket, type, properties = {}) {
+    socket.dispatchEvent(Object.assign(new Event(type), properties));
+}
+
+/**
+ * Creates an in-memory live update server for tests, which speaks the live update protocol to
+ * `LiveUpdateClient` and `useLiveUpdate` through the `WebSocket` option, without any network.
+ * It answers subscriptions with values read from `objects`, applies set messages to them, and sends
+ * the changes to every subscriber, no more often than each subscription's `updateFrequencyMs`.
+ * Faults such as latency, errors and dropped connections can be injected at any point of a test.
+ * @param {Object} objects - The objects the server holds, by object path. Property paths are read from
+ * each object, so `object.offset.x` reads `objects[objectPath].offset.x`. The objects are copied, so
+ * they can be shared between tests.
+ * @param {Object} [options] - Server options.
+ * @param {number} [options.latencyMs=0] - How long the server takes to open connections and to send each message.
+ * @param {number} [options.updateFrequencyMs=0] - The update frequency of subscriptions which don't configure one.
+ * @returns {Object} - The server. Pass `server.WebSocket` as the `WebSocket` option of the client.
+ */
+export function createMockLiveUpdateServer(objects = {}, { latencyMs = 0, updateFrequencyMs = 0 } = {}) {
+    const session = createLiveUpdateSession(objects, { updateFrequencyMs });
+    const sockets = new Set(); // open sockets
+    const received = [];
+    let latency = latencyMs;
+    let refusing = false;
+    let responding = true;
+
+    /**
+     * A WebSocket connected to this server, with the interface `LiveUpdateClient` uses.
+     */
+    class MockWebSocket extends EventTarget {
+        static CONNECTING = CONNECTING;
+        static OPEN = OPEN;
+        static CLOSED = CLOSED;
+
+        #connection = null;
+        #timers = new Set();
+
+        constructor(url) {
+            super();
+            this.url = url;
+            this.readyState = CONNECTING;
+            this.#setTimer(() => {
+                if (refusing) {
+                    this.readyState = CLOSED;
+                    dispatch(this, 'error');
+                    dispatch(this, 'close', { code: 1006, reason: '' });
+                    return;
+                }
+                this.#connection = session.connect((message) => this.#deliver(message));
+                sockets.add(this);
+                this.readyState = OPEN;
+                dispatch(this, 'open');
+            });
+        }
+
+        #setTimer(callback) {
+            const timer = setTimeout(() => {
+                this.#timers.delete(timer);
+                callback();
+            }, latency);
+            this.#timers.add(timer);
+        }
+
+        #deliver(message) {
+            if (!responding) return;
+            this.#setTimer(() => dispatch(this, 'message', { data: JSON.stringify(message) }));
+        }
+
+        send(data) {
+            if (this.readyState !== OPEN) {
+                throw new Error('WebSocket is not open');
+            }
+            if (!responding) return;
+            const message = JSON.parse(data);
+            received.push(message);
+            this.#connection.receive(message);
+        }
+
+        close(code = 1000, reason = '') {
+            if (this.readyState === CLOSED) return;
+            sockets.delete(this);
+            this.#connection?.close();
+            this.#timers.forEach((timer) => clearTimeout(timer));
+            this.#timers.clear();
+            this.readyState = CLOSED;
+            dispatch(this, 'close', { code, reason });
+        }
+    }
+
+    return {
+        /** The WebSocket constructor to pass as the `WebSocket` option. */
+        WebSocket: MockWebSocket,
+        /** The messages the server has received, parsed, in the order they arrived. */
+        received,
+        /** The number of open connections. */
+        get connectionCount() {
+            return sockets.size;
+        },
+        getValue: session.getValue,
+        /**
+         * Changes a value on the server, as if it changed in the session, and sends it to subscribers.
+         * Objects are merged, as with partial sets.
+         */
+        simulateChange: session.change,
+        /** Sets how long the server takes to open connections and to send each message. */
+        setLatency(ms) {
+            latency = ms;
+        },
+        /** Sends an error message to every connection. */
+        sendError: session.sendError,
+        /** Answers set messages with an error rather than applying them, until called with `null`. */
+        rejectWrites(error = 'Write rejected') {
+            session.rejectWrites(error);
+        },
+        /** Fails new connections, as an unreachable server would, until called with `false`. */
+        refuseConnections(refuse = true) {
+            refusing = refuse;
+        },
+        /** Keeps connections open but ignores and answers nothing, as a hung server would, until called with `false`. */
+        stopResponding(stop = true) {
+            responding = !stop;
+        },
+        /** Drops every open connection, with the given close code. */
+        disconnectAll(code = 1006) {
+            sockets.forEach((socket) => socket.close(code, ''));
+        },
+        /** Drops every connection, and refuses new ones. */
+        close() {
+            refusing = true;
+            sockets.forEach((socket) => socket.close(1001, ''));
+        }
+    };
+}
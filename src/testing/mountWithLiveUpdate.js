@@ -0,0 +1,50 @@
+// mountWithLiveUpdate.js
+import { inject } from 'vue'
+import { mount } from '@vue/test-utils'
+import { createLiveUpdatePlugin, liveUpdateKey } from '../plugin/liveUpdatePlugin'
+import { createMockLiveUpdateServer } from './mockLiveUpdateServer'
+
+/**
+ * Mounts a component with `@vue/test-utils`, in an app with the live update plugin installed and
+ * connected to a mock server, so that components using `injectLiveUpdate` can be tested.
+ * @param {Object} component - The component to mount.
+ * @param {Object} [options] - Any `mount` options, and:
+ * @param {Object} [options.server] - The mock server to connect to. By default, a new one is created from `objects`.
+ * @param {Object} [options.objects] - The objects to create the mock server with.
+ * @param {Object} [options.liveUpdate] - Options for `createLiveUpdatePlugin`. The director defaults to `localhost`, and
+ * the devtools are disabled by default.
+ * @returns {Object} - `{ wrapper, server, liveUpdate }`: the mounted wrapper, the mock server, and the
+ * live update instance the plugin provides.
+ */
+export function mountWithLiveUpdate(component, { server, objects = {}, liveUpdate: pluginOptions = {}, ...mountOptions } = {}) {
+    const liveUpdateServer = server ?? createMockLiveUpdateServer(objects);
+    const { connections = {}, ...defaultOptions } = pluginOptions;
+    const plugin = createLiveUpdatePlugin({
+        director: 'localhost',
+        devtools: false,
+        ...defaultOptions,
+        WebSocket: liveUpdateServer.WebSocket,
+        // Named connections connect to the same mock server.
+        connections: Object.fromEntries(Object.entries(connections).map(([name, connection]) =>
+            [name, { ...connection, WebSocket: liveUpdateServer.WebSocket }]))
+    });
+
+    let liveUpdate = null;
+    const wrapper = mount(component, {
+        ...mountOptions,
+        global: {
+            ...mountOptions.global,
+            plugins: [
+                ...(mountOptions.global?.plugins ?? []),
+                {
+                    install(app) {
+                        plugin.install(app);
+                        liveUpdate = app.runWithContext(() => inject(liveUpdateKey));
+                    }
+                }
+            ]
+        }
+    });
+
+    return { wrapper, server: liveUpdateServer, liveUpdate };
+}
@@ -0,0 +1,10 @@
+import { expectType, expectError } from 'tsd';
+import { LiveUpdateClient, valueCodecs } from '../src/client';
+import type { ClientSubscription, ConnectionStatus } from '../src/client';
+
+const client = new LiveUpdateClient('localhost:8080', { updateFrequencyMs: 100 });
+expectType<ConnectionStatus>(client.status);
+const subscription = client.subscribe('screen2:surface_1', ['object.offset']);
+expectType<ClientSubscription>(subscription);
+expectType<Promise<void>>(subscription.set('object.offset', valueCodecs.vec3.encode([1, 2, 3], undefined)));
+expectError(new LiveUpdateClient('localhost:8080', { deep: true }));
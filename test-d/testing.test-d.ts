@@ -0,0 +1,32 @@
+import { expectType, expectError } from 'tsd';
+import { defineComponent } from 'vue';
+import { LiveUpdateClient, useLiveUpdate } from '../src';
+import type { UseLiveUpdateReturn } from '../src';
+import { createMockLiveUpdateServer, mountWithLiveUpdate } from '../src/testing';
+import type { MockLiveUpdateServer } from '../src/testing';
+
+const server = createMockLiveUpdateServer({ 'screen2:surface_1': { offset: { x: 0, y: 0 } } }, { latencyMs: 20, updateFrequencyMs: 50 });
+expectType<MockLiveUpdateServer>(server);
+expectType<number>(server.connectionCount);
+server.simulateChange('screen2:surface_1', 'object.offset', { x: 1 });
+server.rejectWrites('Property is read only');
+server.rejectWrites(null);
+server.refuseConnections();
+server.stopResponding(false);
+server.disconnectAll(1011);
+
+// The server's WebSocket can be given to the client and the composable.
+new LiveUpdateClient('localhost', { WebSocket: server.WebSocket });
+useLiveUpdate('localhost', { WebSocket: server.WebSocket });
+
+const { wrapper, liveUpdate } = mountWithLiveUpdate(defineComponent({ template: '<div></div>' }), {
+    objects: { 'screen2:surface_1': {} },
+    liveUpdate: { staleAfterMs: 1000 },
+    attachTo: 'body',
+});
+expectType<UseLiveUpdateReturn>(liveUpdate);
+expectType<string>(wrapper.text());
+mountWithLiveUpdate(defineComponent({}), { server });
+
+expectError(createMockLiveUpdateServer({}, { latency: 20 }));
+expectError(mountWithLiveUpdate(defineComponent({}), { liveUpdate: { unknown: true } }));
@@ -1,13 +1,35 @@
-import { expectType, expectError } from 'tsd';
-import { Ref, ref } from 'vue';
-import { useLiveUpdate } from '../src';
+import { expectAssignable, expectType, expectError } from 'tsd';
+import { ComputedRef, InjectionKey, Plugin, Ref, computed, createApp, ref } from 'vue';
+import { LiveUpdateClient, createLiveUpdatePlugin, injectLiveUpdate, liveUpdateKey, recordLiveUpdate, setupLiveUpdateDevtools, useLiveUpdate, useLiveUpdateConnections, valueCodecs } from '../src';
 import { LiveUpdateOverlay } from '../src';
-import type { LiveUpdateOverlayProps, SubscriptionValue, UseLiveUpdateReturn } from '../src';
+import type { ClientSubscription, ConnectionStatus, LiveUpdateOverlayProps, LiveUpdateOverlaySlotProps, LiveUpdateRecording, Subscriptions, SubscriptionState, SubscriptionValue, SharedLiveUpdate, SubscriptionsByObjectPath, UseLiveUpdateReturn } from '../src';
 
 // Valid usage
 const liveUpdate = useLiveUpdate('localhost:8080');
 expectType<Ref<string>>(liveUpdate.status);
 expectType<Ref<string>>(liveUpdate.connectionUserInfo);
+expectType<Ref<number>>(liveUpdate.reconnectAttempts);
+expectType<Ref<number | null>>(liveUpdate.nextReconnectAt);
+expectType<ComputedRef<number>>(liveUpdate.offlineQueueLength);
+expectType<number | null>(liveUpdate.health.latencyMs);
+expectType<number>(liveUpdate.health.bytesInPerSecond);
+expectError(liveUpdate.health.responding = false);
+
+// Reconnection policy
+useLiveUpdate('localhost:8080', { reconnect: { initialDelayMs: 500, maxAttempts: 10 } });
+useLiveUpdate('localhost:8080', { reconnect: false });
+
+// Heartbeat
+useLiveUpdate('localhost:8080', { heartbeat: { intervalMs: 1000, timeoutMs: 3000 } });
+useLiveUpdate('localhost:8080', { heartbeat: false });
+
+// Endpoint options
+useLiveUpdate('localhost:8080', { secure: true, path: '/proxy/liveupdate' });
+useLiveUpdate('wss://proxy.example/liveupdate', { secure: 'auto' });
+
+// Offline writes
+useLiveUpdate('localhost:8080', { offlineWrites: 'all' });
+expectError(useLiveUpdate('localhost:8080', { offlineWrites: 'keep' }));
 
 // Test subscribe
 const computedValues = liveUpdate.subscribe('objectPath', {
@@ -16,8 +38,56 @@ const computedValues = liveUpdate.subscribe('objectPath', {
 });
 expectType<SubscriptionValue>(computedValues.ref1);
 expectType<SubscriptionValue>(computedValues.ref2);
+expectType<ComputedRef<SubscriptionState>>(computedValues.ref1.state);
+expectType<ComputedRef<string | null>>(computedValues.ref1.error);
+expectType<ComputedRef<boolean>>(computedValues.ref1.pending);
+expectType<ComputedRef<number | null>>(computedValues.ref1.lastUpdated);
+expectType<ComputedRef<boolean>>(computedValues.ref1.isStale);
+computedValues.unsubscribe();
+computedValues.dispose();
+
+// Waiting for the first values
+async function awaitFirstValues() {
+    const { ref1 } = await liveUpdate.autoSubscribe('objectPath', ['property1'], { readyTimeoutMs: 5000 }).ready;
+    expectType<SubscriptionValue>(ref1);
+}
+expectType<Promise<Subscriptions>>(computedValues.ready);
+useLiveUpdate('localhost:8080', { readyTimeoutMs: 5000 });
+expectError(new LiveUpdateClient('localhost:8080', { readyTimeoutMs: 5000 }));
+
+// Reactive targets
+const selectedObject = ref<string | null>('objectPath');
+liveUpdate.subscribe(selectedObject, { ref1: 'property1' });
+liveUpdate.subscribe(() => selectedObject.value, () => ({ ref1: 'property1' }));
+liveUpdate.autoSubscribe(selectedObject, ref(['property1']));
+liveUpdate.subscribe('objectPath', { ref1: 'property1' }, { writeTimeoutMs: 500 });
+liveUpdate.subscribe('objectPath', { ref1: 'property1' }, { writeIntervalMs: 'frame' });
+liveUpdate.autoSubscribe('objectPath', ['property1'], { deep: true });
+expectError(liveUpdate.autoSubscribe('objectPath', ['property1'], { deep: 'yes' }));
+
+// Codecs
+liveUpdate.subscribe('objectPath', { ref1: 'property1' }, { codecs: { ref1: 'colorHex' } });
+liveUpdate.subscribe('objectPath', { ref1: 'property1', ref2: 'property2' }, { codecs: { ref1: 'rotationRadians', ref2: 'transform' } });
+liveUpdate.autoSubscribe('objectPath', ['property1'], { codecs: { property1: valueCodecs.vec3 } });
+liveUpdate.subscribe('objectPath', { ref1: 'property1' }, {
+    codecs: { ref1: { decode: (value: number) => value * 100, encode: (value: number) => value / 100 } }
+});
+expectError(liveUpdate.subscribe('objectPath', { ref1: 'property1' }, { codecs: { ref1: 'vec4' } }));
+expectError(useLiveUpdate('localhost:8080', { codecs: { ref1: 'vec3' } }));
+useLiveUpdate('localhost:8080', { writeIntervalMs: 100 });
+expectType<Promise<void>>(liveUpdate.batch(() => {
+    computedValues.ref1.value = 1;
+}));
+expectType<void>(liveUpdate.dispose());
 
 // Test autoSubscribe
+// Collections
+const surfaces = liveUpdate.subscribeMany(ref(['screen2:surface_1']), { offset: 'object.offset' });
+expectType<SubscriptionsByObjectPath>(surfaces);
+expectType<SubscriptionValue>(surfaces['screen2:surface_1'].offset);
+liveUpdate.subscribeMany({ objectPath: 'track:track_1', propertyPath: 'object.layers', toObjectPath: (layer) => layer.name }, { offset: 'object.offset' });
+expectError(liveUpdate.subscribeMany({ objectPath: 'track:track_1' }, { offset: 'object.offset' }));
+
 const autoComputedValues = liveUpdate.autoSubscribe('objectPath', ['property1', 'property2']);
 expectType<SubscriptionValue>(autoComputedValues.property1);
 expectType<SubscriptionValue>(autoComputedValues.property2);
@@ -26,13 +96,38 @@ expectType<SubscriptionValue>(autoComputedValues.property2);
 const mockLiveUpdate: UseLiveUpdateReturn = {
     status: ref('CLOSED'),
     connectionUserInfo: ref('User Info'),
+    closeCode: ref(1006),
+    lastError: ref(null),
     reconnect: () => {},
-    subscribe: (objectPath, refNameToPropertyPaths) => ({}),
-    autoSubscribe: (objectPath, propertyPaths) => ({}),
+    reconnectAttempts: ref(0),
+    nextReconnectAt: ref(null),
+    offlineQueueLength: computed(() => 0),
+    health: {
+        responding: false,
+        latencyMs: null,
+        lastMessageAt: null,
+        messagesIn: 0,
+        messagesOut: 0,
+        bytesIn: 0,
+        bytesOut: 0,
+        messagesInPerSecond: 0,
+        messagesOutPerSecond: 0,
+        bytesInPerSecond: 0,
+        bytesOutPerSecond: 0
+    },
+    subscribe: (objectPath, refNameToPropertyPaths) => ({ unsubscribe: () => {}, dispose: () => {} } as Subscriptions),
+    autoSubscribe: (objectPath, propertyPaths) => ({ unsubscribe: () => {}, dispose: () => {} } as Subscriptions),
+    subscribeMany: (objectPaths, refNameToPropertyPaths) => ({ unsubscribe: () => {}, dispose: () => {} } as SubscriptionsByObjectPath),
+    batch: async () => {},
+    dispose: () => {},
+    client: new LiveUpdateClient('localhost:8080'),
     debugInfo: {
+        url: 'ws://localhost:8080/api/session/liveupdate',
         status: ref('CLOSED'),
         subscriptions: ref([]),
-        values: {}
+        values: {},
+        subscribers: [],
+        onMessage: (listener) => () => {}
     }
 };
 
@@ -40,14 +135,105 @@ const mockLiveUpdate: UseLiveUpdateReturn = {
 expectType<typeof LiveUpdateOverlay>(LiveUpdateOverlay);
 
 // Valid usage
-expectType<LiveUpdateOverlayProps>({ liveUpdate: mockLiveUpdate });
+expectAssignable<LiveUpdateOverlayProps>({ liveUpdate: mockLiveUpdate });
+expectAssignable<LiveUpdateOverlayProps>({}); // Falls back to the injected instance
+expectAssignable<LiveUpdateOverlayProps>({
+    mode: 'banner',
+    placement: 'bottom',
+    message: 'Showing the last known values.',
+    strings: { reconnect: 'Reconnecter', reconnectCountdown: ({ seconds }) => `Reconnexion dans ${seconds} s` },
+    showDetails: false,
+    theme: { background: '#222', zIndex: 20 },
+});
+expectType<number | null>(({} as LiveUpdateOverlaySlotProps).reconnectInSeconds);
+
+// Plugin and injection
+expectType<Plugin>(createLiveUpdatePlugin({ director: 'localhost:8080' }));
+expectType<Plugin>(createLiveUpdatePlugin({ director: 'localhost:8080', updateFrequencyMs: 500 }));
+expectType<Plugin>(createLiveUpdatePlugin({ director: 'localhost:8080', devtools: false }));
+expectType<void>(setupLiveUpdateDevtools(createApp({})));
+liveUpdate.debugInfo.onMessage((direction, message) => {
+    expectType<'in' | 'out'>(direction);
+})();
+expectType<UseLiveUpdateReturn>(injectLiveUpdate());
+expectType<InjectionKey<UseLiveUpdateReturn>>(liveUpdateKey);
+
+// Shared and named connections
+useLiveUpdate('localhost:8080', { name: 'stage' });
+expectType<Plugin>(createLiveUpdatePlugin({
+    connections: {
+        stage: { director: 'stage.local', reconnect: { maxAttempts: 5 } },
+        backup: { director: 'backup.local' },
+    },
+}));
+expectType<Plugin>(createLiveUpdatePlugin({ director: 'localhost:8080', connections: { backup: { director: 'backup.local' } } }));
+expectType<UseLiveUpdateReturn>(injectLiveUpdate('stage'));
+const connections = useLiveUpdateConnections();
+expectType<ConnectionStatus>(connections.status.value);
+expectType<string>(connections.connectionUserInfo.value);
+expectType<number | null>(connections.closeCode.value);
+expectType<number | null>(connections.nextReconnectAt.value);
+expectType<string>(connections.connections.value[0].name);
+expectType<SharedLiveUpdate>(connections.connections.value[0].liveUpdate);
+expectError(connections.connections.value[0].liveUpdate.dispose());
+recordLiveUpdate(connections.connections.value[0].liveUpdate);
+expectAssignable<LiveUpdateOverlayProps>({ all: true });
+
+// Recording and replay
+const recorder = recordLiveUpdate(liveUpdate);
+const recording = recorder.stop();
+expectType<LiveUpdateRecording>(recording);
+expectType<'in' | 'out'>(recording.messages[0].direction);
+useLiveUpdate(null, { replay: { recording } });
+useLiveUpdate('localhost:8080', { replay: { recording, loop: true, speed: 2 } });
+
+// Framework-agnostic client
+const client = new LiveUpdateClient('localhost:8080', { updateFrequencyMs: 100 });
+client.connect();
+expectType<ConnectionStatus>(client.status);
+expectType<LiveUpdateClient>(liveUpdate.client);
+const clientSubscription = client.subscribe('screen2:surface_1', ['object.offset'], { writeTimeoutMs: 500 });
+expectType<ClientSubscription>(clientSubscription);
+expectType<Promise<void>>(clientSubscription.set('object.offset', { x: 1 }));
+client.on('value', ({ key, value, updatedAt }) => {
+    expectType<string>(key);
+    expectType<number | null>(updatedAt);
+})();
+client.on('status', (status) => {
+    expectType<ConnectionStatus>(status);
+});
+client.on('closeCode', (code) => {
+    expectType<number | null>(code);
+});
+expectType<string | null>(client.lastError);
+expectType<Ref<string | null>>(liveUpdate.lastError);
+expectType<Promise<void>>(client.batch(() => client.write(clientSubscription.keys['object.offset'], { x: 2 })));
+client.close();
+new LiveUpdateClient(null, { replay: { recording } });
+
+// WebSocket implementations
+useLiveUpdate('localhost:8080', { WebSocket });
+useLiveUpdate('localhost:8080', { createWebSocket: (url) => new WebSocket(url, ['liveupdate']) });
+new LiveUpdateClient('localhost:8080', { WebSocket });
 
 // Invalid usage (should cause TypeScript errors)
 expectError(useLiveUpdate()); // Missing argument
+expectError(useLiveUpdate('localhost:8080', { reconnect: { delay: 100 } })); // Invalid reconnect option
+expectError(useLiveUpdate('localhost:8080', { writeIntervalMs: 'tick' })); // Invalid write interval
+expectError(useLiveUpdate('localhost:8080', { secure: 'yes' })); // Invalid secure option
 expectError(liveUpdate.subscribe('objectPath', { ref1: 123 })); // Invalid property path type
+expectError(liveUpdate.subscribe(ref(123), { ref1: 'property1' })); // Invalid object path type
 expectError(() => {
     const invalidProps: LiveUpdateOverlayProps = { liveUpdate: {} }; // missing properties
 });
 expectError(() => {
-    const missingProps: LiveUpdateOverlayProps = { }; // Missing required prop
+    const invalidProps: LiveUpdateOverlayProps = { mode: 'modal' }; // Unknown mode
 });
+expectError(createLiveUpdatePlugin({})); // Missing director
+expectError(createLiveUpdatePlugin({ connections: { stage: {} } })); // Missing director of a connection
+expectError(new LiveUpdateClient('localhost:8080', { name: 'stage' })); // Connections are named by useLiveUpdate
+expectError(useLiveUpdate(null)); // Missing recording to replay
+expectError(useLiveUpdate(null, { replay: { recording, speed: 'fast' } })); // Invalid replay speed
+expectError(new LiveUpdateClient('localhost:8080', { deep: true })); // Vue-only option
+expectError(client.on('values', () => {})); // Unknown event
+expectError(useLiveUpdate('localhost:8080', { createWebSocket: 'ws' })); // Invalid WebSocket factory
@@ -0,0 +1,266 @@
+import { describe, it, expect, beforeEach, afterEach, onTestFinished, vi } from 'vitest';
+import { LiveUpdateClient } from '../src/client/LiveUpdateClient';
+import { createMockLiveUpdateServer } from './mockLiveUpdateServer';
+import { createMockLiveUpdateServer as createSessionServer } from '../src/testing/mockLiveUpdateServer';
+
+let mockServer;
+
+// Creates a connected client, which is closed when the test finishes.
+function connectClient(config) {
+    const client = new LiveUpdateClient('localhost', config);
+    onTestFinished(() => client.close());
+    client.connect();
+    return client;
+}
+
+describe('LiveUpdateClient', () => {
+    beforeEach(() => {
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 0, y: 0, z: 0 },
+                rotation: { x: 0, y: 0, z: 0 },
+            },
+        });
+    });
+
+    afterEach(() => {
+        mockServer.stop();
+    });
+
+    it('should not connect until connect is called', async () => {
+        const client = new LiveUpdateClient('localhost');
+        expect(client.url).toBe('ws://localhost/api/session/liveupdate');
+        expect(client.status).toBe('CLOSED');
+
+        const statuses = [];
+        client.on('status', (status) => statuses.push(status));
+        client.connect();
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+        expect(statuses).toEqual(['CONNECTING', 'OPEN']);
+
+        client.close();
+        expect(client.status).toBe('CLOSED');
+    });
+
+    it('should report values as they are received', async () => {
+        const client = connectClient();
+        const values = [];
+        client.on('value', ({ key, objectPath, propertyPath, value }) => values.push({ key, objectPath, propertyPath, value }));
+
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset']);
+        expect(subscription.keys).toEqual({ 'object.offset': 'screen2:surface_1/object.offset' });
+        expect(client.getState('screen2:surface_1/object.offset')).toEqual({ state: 'pending', error: null });
+
+        await vi.waitFor(() => expect(client.getValue('screen2:surface_1/object.offset')).toEqual({ x: 0, y: 0, z: 0 }));
+        expect(client.getState('screen2:surface_1/object.offset')).toEqual({ state: 'active', error: null });
+        expect(client.getUpdatedAt('screen2:surface_1/object.offset')).toEqual(expect.any(Number));
+
+        mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 1, y: 2, z: 3 });
+        await vi.waitFor(() => expect(values.at(-1)).toEqual({
+            key: 'screen2:surface_1/object.offset',
+            objectPath: 'screen2:surface_1',
+            propertyPath: 'object.offset',
+            value: { x: 1, y: 2, z: 3 },
+        }));
+    });
+
+    it('should write values, and resolve once they are confirmed', async () => {
+        const client = connectClient();
+        const writes = [];
+        client.on('write', (write) => writes.push(write));
+
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset'], { writeIntervalMs: 0 });
+        await vi.waitFor(() => expect(client.getValue('screen2:surface_1/object.offset')).toBeDefined());
+
+        await subscription.set('object.offset', { x: 5 });
+        expect(client.getValue('screen2:surface_1/object.offset')).toEqual({ x: 5, y: 0, z: 0 });
+        expect(writes).toEqual([
+            { key: 'screen2:surface_1/object.offset', pending: true, value: { x: 5, y: 0, z: 0 }, error: null },
+            { key: 'screen2:surface_1/object.offset', pending: false, value: { x: 5, y: 0, z: 0 }, error: null },
+        ]);
+
+        expect(() => subscription.set('object.scale', 2)).toThrow("Cannot set 'object.scale', which is not in this subscription.");
+    });
+
+    it('should hold back each write until its own interval has passed', async () => {
+        const client = connectClient();
+        const fast = client.subscribe('screen2:surface_1', ['object.offset'], { writeIntervalMs: 'frame' });
+        const slow = client.subscribe('screen2:surface_1', ['object.rotation'], { writeIntervalMs: 300 });
+        await vi.waitFor(() => expect(client.getValue(slow.keys['object.rotation'])).toBeDefined());
+
+        const sets = [];
+        client.on('message', (direction, message) => {
+            if (direction === 'out' && message.set) {
+                sets.push({ at: Date.now(), values: message.set.map(({ value }) => value) });
+            }
+        });
+        const startedAt = Date.now();
+        const slowWrite = slow.set('object.rotation', { y: 90 });
+        for (let x = 1; x <= 5; x++) {
+            fast.set('object.offset', { x });
+            await new Promise((resolve) => setTimeout(resolve, 30));
+        }
+
+        // The fast writes were sent as they were made, without the slow one.
+        expect(sets.length).toBeGreaterThanOrEqual(3);
+        expect(sets.flatMap(({ values }) => values)).not.toContainEqual({ y: 90 });
+
+        await slowWrite;
+        const slowSet = sets.find(({ values }) => values.some((value) => value.y === 90));
+        expect(slowSet.at - startedAt).toBeGreaterThanOrEqual(290);
+    });
+
+    it('should keep a newer write waiting for its interval, while the sent one it replaced is confirmed', async () => {
+        const server = createSessionServer({ 'screen2:surface_1': { brightness: 1 } }, { latencyMs: 5 });
+        onTestFinished(() => server.close());
+        const client = new LiveUpdateClient('localhost', { WebSocket: server.WebSocket, writeIntervalMs: 300, writeTimeoutMs: 200 });
+        onTestFinished(() => client.close());
+        client.connect();
+        const subscription = client.subscribe('screen2:surface_1', ['object.brightness']);
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.brightness'])).toBe(1));
+
+        const first = subscription.set('object.brightness', 2);
+        await new Promise((resolve) => setTimeout(resolve, 302));
+        const second = subscription.set('object.brightness', 3);
+
+        // The first write is confirmed by its echo, and the second is still sent after the first's timeout.
+        await expect(first).resolves.toBeUndefined();
+        await expect(second).resolves.toBeUndefined();
+        expect(server.getValue('screen2:surface_1', 'object.brightness')).toBe(3);
+    });
+
+    it('should send the messages of a batch together', async () => {
+        const client = connectClient();
+        const sent = [];
+        client.on('message', (direction, message) => {
+            if (direction === 'out') sent.push(message);
+        });
+
+        const { keys } = client.subscribe('screen2:surface_1', ['object.offset', 'object.rotation']);
+        await vi.waitFor(() => expect(client.getValue(keys['object.rotation'])).toBeDefined());
+
+        await client.batch(() => {
+            client.write(keys['object.offset'], { x: 1 });
+            client.write(keys['object.rotation'], { y: 90 });
+        });
+        expect(sent.filter((message) => message.set)).toEqual([
+            { set: [{ id: 0, value: { x: 1 } }, { id: 1, value: { y: 90 } }] },
+        ]);
+    });
+
+    it('should only unsubscribe keys without other consumers', async () => {
+        const client = connectClient();
+        const first = client.subscribe('screen2:surface_1', ['object.offset', 'object.rotation']);
+        const second = client.subscribe('screen2:surface_1', ['object.offset']);
+        await vi.waitFor(() => expect(client.subscriptions).toHaveLength(2));
+
+        first.unsubscribe();
+        await vi.waitFor(() => expect(client.subscriptions).toEqual([
+            { id: 0, objectPath: 'screen2:surface_1', propertyPath: 'object.offset' },
+        ]));
+        expect(client.getState('screen2:surface_1/object.rotation')).toBeNull();
+
+        second.unsubscribe();
+        await vi.waitFor(() => expect(client.subscriptions).toEqual([]));
+        expect(client.getValue('screen2:surface_1/object.offset')).toBeUndefined();
+    });
+
+    it('should ignore a key released again, and not resubscribe it', async () => {
+        const client = connectClient({ reconnect: { initialDelayMs: 10, jitter: 0 } });
+        const { keys } = client.subscribe('screen2:surface_1', ['object.offset']);
+        await vi.waitFor(() => expect(client.getValue(keys['object.offset'])).toBeDefined());
+
+        client.release([keys['object.offset']]);
+        client.release([keys['object.offset']]);
+        await vi.waitFor(() => expect(client.subscriptions).toEqual([]));
+
+        const subscribes = [];
+        client.on('message', (direction, message) => {
+            if (direction === 'out' && message.subscribe) subscribes.push(message.subscribe);
+        });
+        mockServer.disconnectAll();
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(subscribes).toEqual([]);
+    });
+
+    it('should resubscribe after reconnecting, but not after being closed', async () => {
+        const client = connectClient({ reconnect: { initialDelayMs: 10, jitter: 0 } });
+        const { keys } = client.subscribe('screen2:surface_1', ['object.offset']);
+        await vi.waitFor(() => expect(client.getValue(keys['object.offset'])).toBeDefined());
+
+        const reconnects = [];
+        client.on('reconnect', (reconnect) => reconnects.push(reconnect));
+        mockServer.disconnectAll();
+        expect(client.status).toBe('CLOSED');
+        expect(client.getState(keys['object.offset']).state).toBe('pending');
+        expect(reconnects[0]).toEqual({ attempts: 1, nextAt: expect.any(Number) });
+
+        await vi.waitFor(() => expect(client.getState(keys['object.offset']).state).toBe('active'));
+        expect(client.reconnectAttempts).toBe(0);
+
+        client.close();
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        expect(client.status).toBe('CLOSED');
+        expect(client.nextReconnectAt).toBeNull();
+    });
+
+    it('should report the close code and last error until the connection opens again', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        onTestFinished(() => vi.restoreAllMocks());
+        const client = connectClient({ reconnect: { initialDelayMs: 10, jitter: 0 } });
+        const codes = [];
+        client.on('closeCode', (code) => codes.push(code));
+
+        client.subscribe('screen2:surface_1', ['object.missing']);
+        await vi.waitFor(() => expect(client.lastError).toBe("propertyPath 'object.missing' not found"));
+        expect(client.closeCode).toBeNull();
+
+        mockServer.disconnectAll(1011);
+        expect(client.closeCode).toBe(1011);
+        expect(client.lastError).toBe("propertyPath 'object.missing' not found");
+
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+        expect(client.closeCode).toBeNull();
+        expect(codes).toEqual([1011, null]);
+    });
+
+    it('should reject writes which are dropped while disconnected', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        onTestFinished(() => vi.restoreAllMocks());
+        const client = connectClient({ offlineWrites: 'drop', reconnect: false });
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset']);
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.offset'])).toBeDefined());
+
+        mockServer.disconnectAll();
+        await expect(subscription.set('object.offset', { x: 5 })).rejects.toThrow(
+            "Write to 'screen2:surface_1/object.offset' was dropped as Live Update is not connected");
+        await expect(client.batch(() => client.write(subscription.keys['object.offset'], { x: 6 }))).rejects.toThrow('Batch write failed');
+        expect(client.offlineQueueLength).toBe(0);
+
+        client.connect();
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.offset'])).toEqual({ x: 0, y: 0, z: 0 }));
+    });
+
+    it('should reject and unqueue writes to properties which are unsubscribed', async () => {
+        const client = connectClient({ reconnect: false });
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset']);
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.offset'])).toBeDefined());
+
+        mockServer.disconnectAll();
+        const written = subscription.set('object.offset', { x: 5 });
+        expect(client.offlineQueueLength).toBe(1);
+
+        subscription.unsubscribe();
+        await expect(written).rejects.toThrow("Write to 'screen2:surface_1/object.offset' was dropped as it was unsubscribed");
+        expect(client.offlineQueueLength).toBe(0);
+
+        client.connect();
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+        expect(client.offlineQueueLength).toBe(0);
+    });
+
+    it('should throw error if director is not provided', () => {
+        expect(() => new LiveUpdateClient()).toThrow("'director' parameter is required.");
+    });
+});
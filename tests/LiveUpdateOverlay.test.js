@@ -1,5 +1,6 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, onTestFinished, vi } from 'vitest';
 import { mount } from '@vue/test-utils';
+import { ref } from 'vue';
 import LiveUpdateOverlay from '../src/components/LiveUpdateOverlay.vue';
 
 describe('LiveUpdateOverlay', () => {
@@ -51,4 +52,87 @@ describe('LiveUpdateOverlay', () => {
 
     expect(mockLiveUpdate.reconnect).toHaveBeenCalled();
   });
-});
\ No newline at end of file
+
+  it('shows a non-blocking banner with a custom message', () => {
+    const mockLiveUpdate = {
+      status: { value: 'CLOSED' },
+      connectionUserInfo: '',
+      reconnect: vi.fn(),
+    };
+
+    const wrapper = mount(LiveUpdateOverlay, {
+      props: { liveUpdate: mockLiveUpdate, mode: 'banner', placement: 'bottom', message: 'Showing the last known values.' },
+    });
+
+    expect(wrapper.find('.overlay').exists()).toBe(false);
+    expect(wrapper.find('.banner').classes()).toContain('placement-bottom');
+    expect(wrapper.find('.banner').attributes('role')).toBe('status');
+    expect(wrapper.find('.message').text()).toBe('Showing the last known values.');
+  });
+
+  it('shows the close code, last error and reconnection countdown in translated strings', async () => {
+    vi.useFakeTimers();
+    onTestFinished(() => vi.useRealTimers());
+    const mockLiveUpdate = {
+      status: ref('CLOSED'),
+      connectionUserInfo: ref('Internal error'),
+      closeCode: ref(1011),
+      lastError: ref('Director restarting'),
+      reconnectAttempts: ref(2),
+      nextReconnectAt: ref(Date.now() + 3000),
+      reconnect: vi.fn(),
+    };
+
+    const wrapper = mount(LiveUpdateOverlay, {
+      props: {
+        liveUpdate: mockLiveUpdate,
+        strings: {
+          reconnect: 'Reconnecter',
+          closeCode: 'Code de fermeture : {code}',
+          reconnectCountdown: ({ seconds, attempt }) => `Reconnexion dans ${seconds} s (tentative ${attempt})`,
+        },
+      },
+    });
+
+    expect(wrapper.find('button').text()).toBe('Reconnecter');
+    expect(wrapper.find('.close-code').text()).toBe('Code de fermeture : 1011');
+    expect(wrapper.find('.last-error').text()).toBe('Last error: Director restarting');
+    expect(wrapper.find('.reconnect-status').text()).toBe('Reconnexion dans 3 s (tentative 2)');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(wrapper.find('.reconnect-status').text()).toBe('Reconnexion dans 2 s (tentative 2)');
+
+    mockLiveUpdate.status.value = 'CONNECTING';
+    await vi.advanceTimersByTimeAsync(0);
+    expect(wrapper.find('.reconnect-status').text()).toBe('Connecting…');
+
+    await wrapper.setProps({ showDetails: false });
+    expect(wrapper.find('.close-code').exists()).toBe(false);
+  });
+
+  it('renders slots with the connection details', async () => {
+    const mockLiveUpdate = {
+      status: { value: 'CLOSED' },
+      connectionUserInfo: 'Could not establish connection',
+      closeCode: 1006,
+      reconnect: vi.fn(),
+    };
+
+    const wrapper = mount(LiveUpdateOverlay, {
+      props: { liveUpdate: mockLiveUpdate, theme: { background: '#222', zIndex: 20 } },
+      slots: {
+        message: '<template #message="{ closeCode }"><h2>Offline ({{ closeCode }})</h2></template>',
+        actions: '<template #actions="{ reconnect }"><a class="retry" @click="reconnect">Retry</a></template>',
+      },
+    });
+
+    expect(wrapper.find('h2').text()).toBe('Offline (1006)');
+    expect(wrapper.find('.connection-user-info').text()).toBe('Could not establish connection');
+    await wrapper.find('.retry').trigger('click');
+    expect(mockLiveUpdate.reconnect).toHaveBeenCalled();
+
+    const style = wrapper.find('.overlay').attributes('style');
+    expect(style).toContain('--live-update-overlay-background: #222');
+    expect(style).toContain('--live-update-overlay-z-index: 20');
+  });
+});
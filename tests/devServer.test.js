@@ -0,0 +1,140 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll, onTestFinished, vi } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import WebSocket from 'ws';
+import { LiveUpdateClient } from '../src/client/LiveUpdateClient';
+import { loadScene, startDevServer } from '../src/server/devServer';
+import { createGenerator } from '../src/server/sceneGenerators';
+
+const scene = {
+    objects: {
+        'screen2:surface_1': {
+            offset: { x: 0, y: 0, z: 0 },
+            brightness: 1,
+        },
+    },
+};
+
+let directory;
+
+// Starts a dev server on a free port, which is closed when the test finishes.
+async function startServer(serverScene = scene, options) {
+    const server = await startDevServer(serverScene, { port: 0, ...options });
+    onTestFinished(() => server.close());
+    return server;
+}
+
+function connectClient(server) {
+    const client = new LiveUpdateClient(`localhost:${server.port}`, { WebSocket });
+    onTestFinished(() => client.close());
+    client.connect();
+    return client;
+}
+
+describe('loadScene', () => {
+    beforeAll(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'liveupdate-scene-'));
+    });
+
+    afterAll(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should load JSON and YAML scenes', async () => {
+        const jsonFile = join(directory, 'scene.json');
+        await writeFile(jsonFile, JSON.stringify(scene));
+        expect(await loadScene(jsonFile)).toEqual(scene);
+
+        const yamlFile = join(directory, 'scene.yaml');
+        await writeFile(yamlFile, [
+            'objects:',
+            '  screen2:surface_1:',
+            '    offset: { x: 0, y: 0, z: 0 }',
+            '    brightness: 1',
+        ].join('\n'));
+        expect(await loadScene(yamlFile)).toEqual(scene);
+    });
+
+    it('should load scripted scenes from JavaScript modules', async () => {
+        const moduleFile = join(directory, 'scene.mjs');
+        await writeFile(moduleFile, [
+            "export default {",
+            "    objects: { 'screen2:surface_1': { brightness: 1 } },",
+            "    generators: [{ object: 'screen2:surface_1', property: 'object.brightness', value: ({ tick }) => tick }],",
+            "};",
+        ].join('\n'));
+        const { generators } = await loadScene(moduleFile);
+        expect(generators[0].value({ tick: 3 })).toBe(3);
+    });
+
+    it('should reject unsupported and invalid scenes', async () => {
+        await expect(loadScene(join(directory, 'scene.txt'))).rejects.toThrow("Unsupported scene file");
+
+        const invalidFile = join(directory, 'invalid.json');
+        await writeFile(invalidFile, JSON.stringify({ 'screen2:surface_1': {} }));
+        await expect(loadScene(invalidFile)).rejects.toThrow("A scene needs an 'objects' map");
+    });
+});
+
+describe('createGenerator', () => {
+    it('should create the built-in generators', () => {
+        const sine = createGenerator({ object: 'a', property: 'b', type: 'sine', min: -1, max: 1, periodMs: 1000 }, 0);
+        expect(sine({ elapsedMs: 0 })).toBeCloseTo(0);
+        expect(sine({ elapsedMs: 250 })).toBeCloseTo(1);
+
+        const sawtooth = createGenerator({ object: 'a', property: 'b', type: 'sawtooth', max: 10, periodMs: 100 }, 0);
+        expect(sawtooth({ elapsedMs: 150 })).toBeCloseTo(5);
+
+        const sequence = createGenerator({ object: 'a', property: 'b', type: 'sequence', values: ['red', 'green'] }, 0);
+        expect([0, 1, 2].map((tick) => sequence({ tick }))).toEqual(['red', 'green', 'red']);
+
+        const random = createGenerator({ object: 'a', property: 'b', type: 'random', min: 5, max: 6 }, 0);
+        expect(random({})).toBeGreaterThanOrEqual(5);
+    });
+
+    it('should throw for invalid generators', () => {
+        expect(() => createGenerator({ property: 'b', type: 'sine' }, 2)).toThrow("Generator 2 needs an 'object' path and a 'property' path.");
+        expect(() => createGenerator({ object: 'a', property: 'b', type: 'bounce' }, 0)).toThrow("Generator 0 has an unknown type 'bounce'.");
+        expect(() => createGenerator({ object: 'a', property: 'b', type: 'sequence', values: [] }, 0)).toThrow("Generator 0 needs a 'values' array.");
+    });
+});
+
+describe('startDevServer', () => {
+    it('should serve the scene, and apply sets', async () => {
+        const server = await startServer();
+        expect(server.url).toBe(`ws://localhost:${server.port}/api/session/liveupdate`);
+
+        const client = connectClient(server);
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset', 'object.scale'], { writeIntervalMs: 0 });
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.offset'])).toEqual({ x: 0, y: 0, z: 0 }));
+        expect(client.getState(subscription.keys['object.scale'])).toEqual({ state: 'failed', error: "propertyPath 'object.scale' not found" });
+
+        await subscription.set('object.offset', { z: 4 });
+        expect(server.session.getValue('screen2:surface_1', 'object.offset')).toEqual({ x: 0, y: 0, z: 4 });
+
+        // The scene itself is not changed.
+        expect(scene.objects['screen2:surface_1'].offset.z).toBe(0);
+    });
+
+    it('should animate properties with generators', async () => {
+        const server = await startServer({
+            ...scene,
+            generators: [{ object: 'screen2:surface_1', property: 'object.brightness', type: 'sequence', values: [0.25, 0.5], intervalMs: 10 }],
+        });
+        const client = connectClient(server);
+        const values = [];
+        client.on('value', ({ value }) => values.push(value));
+        client.subscribe('screen2:surface_1', ['object.brightness']);
+
+        await vi.waitFor(() => expect(values).toEqual(expect.arrayContaining([0.25, 0.5])));
+    });
+
+    it('should not start with generators for properties which are not in the scene', async () => {
+        await expect(startDevServer({
+            ...scene,
+            generators: [{ object: 'screen2:surface_1', property: 'object.scale', type: 'random' }],
+        }, { port: 0 })).rejects.toThrow("Generator 0 changes 'object.scale' of 'screen2:surface_1', which is not in the scene.");
+    });
+});
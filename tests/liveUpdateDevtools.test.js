@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { defineComponent } from 'vue';
+import { setupDevtoolsPlugin } from '@vue/devtools-api';
+import { createLiveUpdatePlugin, injectLiveUpdate } from '../src/plugin/liveUpdatePlugin';
+import { useLiveUpdate } from '../src/composables/useLiveUpdate';
+import { createMockLiveUpdateServer } from './mockLiveUpdateServer';
+
+vi.mock('@vue/devtools-api', () => ({
+    setupDevtoolsPlugin: vi.fn(),
+}));
+
+let mockServer;
+
+// A stand-in for the devtools, recording what the plugin adds, and letting tests call its hooks.
+function createDevtoolsApi() {
+    const hooks = {};
+    const hook = (name) => (handler) => {
+        hooks[name] = handler;
+    };
+    return {
+        hooks,
+        addInspector: vi.fn(),
+        addTimelineLayer: vi.fn(),
+        addTimelineEvent: vi.fn(),
+        sendInspectorTree: vi.fn(),
+        sendInspectorState: vi.fn(),
+        now: () => Date.now(),
+        on: {
+            getInspectorTree: hook('getInspectorTree'),
+            getInspectorState: hook('getInspectorState'),
+            editInspectorState: hook('editInspectorState'),
+        },
+    };
+}
+
+const offsetComponent = defineComponent({
+    setup() {
+        const liveUpdate = injectLiveUpdate();
+        const { offset, rotation } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.rotation'], { writeTimeoutMs: 500 });
+        return { liveUpdate, offset, rotation };
+    },
+    template: '<div></div>',
+});
+
+function mountWithDevtools() {
+    const api = createDevtoolsApi();
+    setupDevtoolsPlugin.mockImplementation((descriptor, setup) => setup(api));
+    const wrapper = mount(offsetComponent, {
+        global: { plugins: [createLiveUpdatePlugin({ director: 'localhost' })] },
+    });
+    return { api, wrapper };
+}
+
+function inspectorTree(api) {
+    const payload = { inspectorId: 'disguise-live-update', filter: '' };
+    api.hooks.getInspectorTree(payload);
+    return payload.rootNodes;
+}
+
+// The connection made by the most recently mounted app.
+function lastConnection(api) {
+    return inspectorTree(api).at(-1);
+}
+
+function inspectorState(api, nodeId) {
+    const payload = { inspectorId: 'disguise-live-update', nodeId };
+    api.hooks.getInspectorState(payload);
+    return payload.state;
+}
+
+describe('liveUpdateDevtools', () => {
+    beforeEach(() => {
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 0, y: 0, z: 0 },
+                rotation: { x: 0, y: 0, z: 0 },
+            },
+        });
+    });
+
+    afterEach(() => {
+        mockServer.stop();
+        setupDevtoolsPlugin.mockReset();
+    });
+
+    it('should add an inspector and timeline layer', () => {
+        const { api, wrapper } = mountWithDevtools();
+
+        expect(setupDevtoolsPlugin).toHaveBeenCalledWith(
+            expect.objectContaining({ id: 'disguise-one.vue-liveupdate', label: 'Live Update' }),
+            expect.any(Function)
+        );
+        expect(api.addInspector).toHaveBeenCalledWith(expect.objectContaining({ id: 'disguise-live-update', label: 'Live Update' }));
+        expect(api.addTimelineLayer).toHaveBeenCalledWith(expect.objectContaining({ id: 'disguise-live-update' }));
+
+        wrapper.unmount();
+    });
+
+    it('should not add the devtools when disabled', () => {
+        const wrapper = mount(offsetComponent, {
+            global: { plugins: [createLiveUpdatePlugin({ director: 'localhost', devtools: false })] },
+        });
+
+        expect(setupDevtoolsPlugin).not.toHaveBeenCalled();
+        wrapper.unmount();
+    });
+
+    it('should list connections and subscriptions', async () => {
+        const { api, wrapper } = mountWithDevtools();
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+
+        const connection = lastConnection(api);
+        expect(connection.label).toBe('ws://localhost/api/session/liveupdate');
+        expect(connection.tags[0].label).toBe('OPEN');
+        expect(connection.children).toEqual([
+            { id: expect.stringMatching(/^subscriber:/), label: 'screen2:surface_1', tags: [] },
+        ]);
+
+        const connectionState = inspectorState(api, connection.id);
+        expect(connectionState.connection).toContainEqual({ key: 'status', value: 'OPEN' });
+        expect(connectionState['server subscriptions']).toEqual([
+            { key: '0', value: 'screen2:surface_1/object.offset' },
+            { key: '1', value: 'screen2:surface_1/object.rotation' },
+        ]);
+
+        const subscriberState = inspectorState(api, connection.children[0].id);
+        expect(subscriberState.values).toEqual([
+            { key: 'offset', value: { x: 0, y: 0, z: 0 }, editable: true },
+            { key: 'rotation', value: { x: 0, y: 0, z: 0 }, editable: true },
+        ]);
+        expect(subscriberState.properties[0]).toEqual({
+            key: 'offset',
+            value: expect.objectContaining({ key: 'screen2:surface_1/object.offset', id: 0, state: 'active', frozen: false }),
+        });
+        expect(subscriberState.configuration).toEqual([{ key: 'writeTimeoutMs', value: 500 }]);
+
+        wrapper.unmount();
+        expect(inspectorTree(api).map(({ id }) => id)).not.toContain(connection.id);
+    });
+
+    it('should remove a connection made outside of an effect scope once it is disposed', () => {
+        const { api, wrapper } = mountWithDevtools();
+        const unscoped = useLiveUpdate('localhost');
+        const connection = lastConnection(api);
+        expect(inspectorTree(api)).toHaveLength(2);
+
+        unscoped.dispose();
+        expect(inspectorTree(api).map(({ id }) => id)).not.toContain(connection.id);
+        expect(inspectorTree(api)).toHaveLength(1);
+        wrapper.unmount();
+    });
+
+    it('should write values edited in the inspector', async () => {
+        const { api, wrapper } = mountWithDevtools();
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+        const nodeId = lastConnection(api).children[0].id;
+
+        api.hooks.editInspectorState({
+            inspectorId: 'disguise-live-update',
+            nodeId,
+            path: ['rotation'],
+            state: { value: { x: 0, y: 90, z: 0 } },
+        });
+        await vi.waitFor(() => expect(wrapper.vm.rotation).toEqual({ x: 0, y: 90, z: 0 }));
+
+        // Nested edits are applied to a copy of the value, which is written whole.
+        api.hooks.editInspectorState({
+            inspectorId: 'disguise-live-update',
+            nodeId,
+            path: ['offset', 'x'],
+            state: { value: 5 },
+            set: (object) => {
+                object.offset.x = 5;
+            },
+        });
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 5, y: 0, z: 0 }));
+
+        wrapper.unmount();
+    });
+
+    it('should show messages on the timeline', async () => {
+        const { api, wrapper } = mountWithDevtools();
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+
+        wrapper.vm.liveUpdate.batch(() => {
+            wrapper.vm.offset = { x: 1 };
+        });
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 1, y: 0, z: 0 }));
+
+        const titles = api.addTimelineEvent.mock.calls.map(([{ event }]) => event.title);
+        expect(titles).toEqual(expect.arrayContaining(['subscribe', 'subscriptions', 'valuesChanged', 'set']));
+
+        const setEvent = api.addTimelineEvent.mock.calls.map(([{ event }]) => event).find(({ title }) => title === 'set');
+        expect(setEvent).toEqual(expect.objectContaining({
+            subtitle: 'sent to ws://localhost/api/session/liveupdate',
+            data: [{ id: 0, value: { x: 1 } }],
+        }));
+
+        wrapper.unmount();
+    });
+});
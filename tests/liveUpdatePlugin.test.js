@@ -0,0 +1,94 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { defineComponent } from 'vue';
+import { createLiveUpdatePlugin, injectLiveUpdate } from '../src/plugin/liveUpdatePlugin';
+import LiveUpdateOverlay from '../src/components/LiveUpdateOverlay.vue';
+import { createMockLiveUpdateServer } from './mockLiveUpdateServer';
+
+let mockServer;
+
+// A component which subscribes through the injected live update instance, without any props.
+const offsetComponent = defineComponent({
+    setup() {
+        const liveUpdate = injectLiveUpdate();
+        const { offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        return { liveUpdate, offset };
+    },
+    template: '<div></div>',
+});
+
+describe('createLiveUpdatePlugin', () => {
+    beforeEach(() => {
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 0, y: 0, z: 0 },
+            },
+        });
+    });
+
+    afterEach(() => {
+        mockServer.stop();
+    });
+
+    it('should provide a shared live update instance to components', async () => {
+        const wrapper = mount(
+            defineComponent({
+                components: { offsetComponent },
+                template: '<div><offsetComponent ref="first" /><offsetComponent ref="second" /></div>',
+            }),
+            { global: { plugins: [createLiveUpdatePlugin({ director: 'localhost' })] } }
+        );
+
+        const first = wrapper.findComponent({ ref: 'first' });
+        const second = wrapper.findComponent({ ref: 'second' });
+        expect(first.vm.liveUpdate).toBe(second.vm.liveUpdate);
+
+        await vi.waitFor(() => expect(first.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+        await vi.waitFor(() => expect(second.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+
+        wrapper.unmount();
+    });
+
+    it('should pass other options to useLiveUpdate as configuration', () => {
+        expect(() => {
+            mount(offsetComponent, {
+                global: { plugins: [createLiveUpdatePlugin({ director: 'localhost', invalidKey: 'value' })] },
+            });
+        }).toThrow('Invalid configuration keys: invalidKey');
+    });
+
+    it('should close the connection when the app is unmounted', async () => {
+        const wrapper = mount(offsetComponent, {
+            global: { plugins: [createLiveUpdatePlugin({ director: 'localhost' })] },
+        });
+
+        const liveUpdate = wrapper.vm.liveUpdate;
+        await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+
+        wrapper.unmount();
+
+        expect(liveUpdate.status.value).toBe('CLOSED');
+    });
+
+    it('should let LiveUpdateOverlay use the injected instance', async () => {
+        const wrapper = mount(LiveUpdateOverlay, {
+            global: { plugins: [createLiveUpdatePlugin({ director: 'localhost' })] },
+        });
+
+        await vi.waitFor(() => expect(wrapper.vm.liveUpdate.status.value).toBe('OPEN'));
+        expect(wrapper.find('.overlay').exists()).toBe(false);
+
+        wrapper.unmount();
+    });
+});
+
+describe('injectLiveUpdate', () => {
+    it('should throw a clear error when the plugin is not installed', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(() => mount(offsetComponent)).toThrow('No live update instance was provided');
+
+        vi.restoreAllMocks();
+    });
+});
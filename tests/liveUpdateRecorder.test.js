@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach, onTestFinished, vi } from 'vitest';
+import { effectScope } from 'vue';
+import { useLiveUpdate } from '../src/composables/useLiveUpdate';
+import { recordLiveUpdate } from '../src/recording/liveUpdateRecorder';
+import { createMockLiveUpdateServer } from './mockLiveUpdateServer';
+
+let mockServer;
+
+// Runs the callback in an effect scope which is stopped when the test finishes.
+function inScope(callback) {
+    const scope = effectScope();
+    onTestFinished(() => scope.stop());
+    return scope.run(callback);
+}
+
+const recording = {
+    format: 'disguise-liveupdate-recording',
+    version: 1,
+    url: 'ws://director/api/session/liveupdate',
+    startedAt: '2025-01-01T12:00:00.000Z',
+    messages: [
+        { time: 0, direction: 'out', message: { subscribe: { object: 'screen2:surface_1', properties: ['object.offset', 'object.missing'] } } },
+        { time: 5, direction: 'in', message: { subscriptions: [{ id: 7, objectPath: 'screen2:surface_1', propertyPath: 'object.offset' }] } },
+        { time: 5, direction: 'in', message: { error: "propertyPath 'object.missing' not found" } },
+        { time: 10, direction: 'in', message: { valuesChanged: [{ id: 7, value: { x: 1, y: 0, z: 0 } }] } },
+        { time: 100, direction: 'in', message: { valuesChanged: [{ id: 7, value: { x: 2, y: 0, z: 0 } }] } },
+        { time: 150, direction: 'out', message: { unsubscribe: { ids: [7] } } },
+    ],
+};
+
+describe('recordLiveUpdate', () => {
+    beforeEach(() => {
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 0, y: 0, z: 0 },
+            },
+        });
+    });
+
+    afterEach(() => {
+        mockServer.stop();
+    });
+
+    it('should record every message sent and received', async () => {
+        const { liveUpdate, recorder, offset } = inScope(() => {
+            const liveUpdate = useLiveUpdate('localhost', { heartbeat: false });
+            const recorder = recordLiveUpdate(liveUpdate);
+            const { offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+            return { liveUpdate, recorder, offset };
+        });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        offset.value = { x: 1 };
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        const result = recorder.stop();
+
+        expect(result).toEqual(expect.objectContaining({
+            format: 'disguise-liveupdate-recording',
+            version: 1,
+            url: liveUpdate.debugInfo.url,
+        }));
+        expect(new Date(result.startedAt).getTime()).toBeLessThanOrEqual(Date.now());
+        expect(result.messages.map(({ direction, message }) => [direction, Object.keys(message)[0]])).toEqual([
+            ['out', 'subscribe'],
+            ['in', 'subscriptions'],
+            ['in', 'valuesChanged'],
+            ['out', 'set'],
+            ['in', 'valuesChanged'],
+        ]);
+        expect(result.messages[3].message).toEqual({ set: [{ id: 0, value: { x: 1 } }] });
+        const times = result.messages.map(({ time }) => time);
+        expect(times).toEqual([...times].sort((a, b) => a - b));
+
+        // Nothing more is recorded once stopped.
+        offset.value = { x: 2 };
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(result.messages).toHaveLength(5);
+    });
+
+    it('should start with the subscriptions and values already held', async () => {
+        const { liveUpdate, offset } = inScope(() => {
+            const liveUpdate = useLiveUpdate('localhost', { heartbeat: false });
+            const { offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+            return { liveUpdate, offset };
+        });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        const result = recordLiveUpdate(liveUpdate).stop();
+
+        expect(result.messages).toEqual([
+            { time: 0, direction: 'in', message: { subscriptions: [{ id: 0, objectPath: 'screen2:surface_1', propertyPath: 'object.offset' }] } },
+            { time: 0, direction: 'in', message: { valuesChanged: [{ id: 0, value: { x: 0, y: 0, z: 0 } }] } },
+        ]);
+    });
+});
+
+describe('replaying a recording', () => {
+    it('should play the recorded values without a director', async () => {
+        const { liveUpdate, offset, missing } = inScope(() => {
+            const liveUpdate = useLiveUpdate(null, { replay: { recording } });
+            const { offset, missing } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.missing']);
+            return { liveUpdate, offset, missing };
+        });
+
+        expect(liveUpdate.debugInfo.url).toBe('ws://director/api/session/liveupdate');
+        await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 1, y: 0, z: 0 }));
+        expect(offset.state.value).toBe('active');
+        await vi.waitFor(() => expect(missing.state.value).toBe('failed'));
+        expect(missing.error.value).toBe("propertyPath 'object.missing' not found");
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+    });
+
+    it('should apply writes until the recording changes the value', async () => {
+        const { offset } = inScope(() => {
+            const liveUpdate = useLiveUpdate(null, { replay: { recording, speed: 0.5 } });
+            return liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 1, y: 0, z: 0 }));
+
+        offset.value = { y: 5 };
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(offset.value).toEqual({ x: 1, y: 5, z: 0 });
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 2, y: 0, z: 0 }), { timeout: 1000 });
+    });
+
+    it('should loop the recording', async () => {
+        const { offset } = inScope(() => {
+            const liveUpdate = useLiveUpdate(null, { replay: { recording, loop: true, speed: 2 } });
+            return liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        });
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 1, y: 0, z: 0 }));
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+    });
+
+    it('should replay a recorded session', async () => {
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 0, y: 0, z: 0 },
+            },
+        });
+        onTestFinished(() => mockServer.stop());
+
+        const recorded = inScope(() => {
+            const liveUpdate = useLiveUpdate('localhost', { heartbeat: false });
+            const recorder = recordLiveUpdate(liveUpdate);
+            liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+            return recorder;
+        });
+        await vi.waitFor(() => expect(recorded.recording.messages).toHaveLength(3));
+        mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 3 });
+        await vi.waitFor(() => expect(recorded.recording.messages).toHaveLength(4));
+        const result = JSON.parse(JSON.stringify(recorded.stop()));
+        mockServer.stop();
+
+        const { offset } = inScope(() => {
+            const liveUpdate = useLiveUpdate('localhost', { replay: { recording: result } });
+            return liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 3, y: 0, z: 0 }));
+    });
+
+    it('should throw error for an invalid recording', () => {
+        expect(() => {
+            inScope(() => useLiveUpdate(null, { replay: { recording: { messages: [] } } }));
+        }).toThrow('Not a live update recording');
+        expect(() => {
+            inScope(() => useLiveUpdate(null, { replay: { recording, speed: 0 } }));
+        }).toThrow('Invalid replay speed: 0');
+        expect(() => {
+            useLiveUpdate(null, { replay: { recording, rate: 2 } });
+        }).toThrow('Invalid replay configuration keys: rate');
+    });
+});
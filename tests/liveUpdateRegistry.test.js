@@ -0,0 +1,234 @@
+import { describe, it, expect, beforeEach, onTestFinished, vi } from 'vitest';
+import { mount } from '@vue/test-utils';
+import { defineComponent, effectScope } from 'vue';
+import { useLiveUpdate } from '../src/composables/useLiveUpdate';
+import { useLiveUpdateConnections } from '../src/registry/liveUpdateRegistry';
+import { createLiveUpdatePlugin, injectLiveUpdate } from '../src/plugin/liveUpdatePlugin';
+import LiveUpdateOverlay from '../src/components/LiveUpdateOverlay.vue';
+import { createMockLiveUpdateServer } from '../src/testing';
+
+const objects = {
+    'screen2:surface_1': {
+        offset: { x: 0, y: 0, z: 0 },
+    },
+};
+
+let stage;
+let backup;
+
+// Runs the callback in a new effect scope, which is stopped when the test finishes.
+function inScope(callback) {
+    const scope = effectScope();
+    onTestFinished(() => scope.stop());
+    return { scope, result: scope.run(callback) };
+}
+
+describe('useLiveUpdate registry', () => {
+    beforeEach(() => {
+        stage = createMockLiveUpdateServer(objects);
+        backup = createMockLiveUpdateServer(objects);
+        onTestFinished(() => {
+            stage.close();
+            backup.close();
+        });
+    });
+
+    it('should share one connection between calls for the same director', async () => {
+        const first = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        const second = inScope(() => useLiveUpdate('ws://stage/api/session/liveupdate', { WebSocket: stage.WebSocket }));
+        expect(second.result.client).toBe(first.result.client);
+
+        await vi.waitFor(() => expect(first.result.status.value).toBe('OPEN'));
+        expect(stage.connectionCount).toBe(1);
+
+        // The connection stays open until every scope using it is stopped.
+        first.scope.stop();
+        expect(second.result.status.value).toBe('OPEN');
+        second.scope.stop();
+        expect(second.result.status.value).toBe('CLOSED');
+        expect(stage.connectionCount).toBe(0);
+
+        // A later call connects again.
+        const third = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        expect(third.result.client).not.toBe(first.result.client);
+        await vi.waitFor(() => expect(stage.connectionCount).toBe(1));
+    });
+
+    it('should warn when a shared connection is used with a different configuration', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        onTestFinished(() => vi.restoreAllMocks());
+
+        inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket, reconnect: { initialDelayMs: 10 } }));
+        inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket, reconnect: { initialDelayMs: 10 } }));
+        expect(warn).not.toHaveBeenCalled();
+
+        inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket, updateFrequencyMs: 100 }));
+        expect(warn).toHaveBeenCalledWith('Live Update: ws://stage/api/session/liveupdate is already connected with a different configuration. The existing connection is shared, and the new configuration is ignored.');
+    });
+
+    it('should give calls outside of an effect scope their own connection', async () => {
+        const { result: shared } = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        const unscoped = useLiveUpdate('stage', { WebSocket: stage.WebSocket });
+        onTestFinished(() => unscoped.client.close());
+
+        expect(unscoped.client).not.toBe(shared.client);
+        await vi.waitFor(() => expect(stage.connectionCount).toBe(2));
+    });
+
+    it('should close a connection made outside of an effect scope, and its unload listener, with dispose', async () => {
+        const removeEventListener = vi.spyOn(window, 'removeEventListener');
+        onTestFinished(() => vi.restoreAllMocks());
+        const unscoped = useLiveUpdate('stage', { WebSocket: stage.WebSocket });
+        await vi.waitFor(() => expect(stage.connectionCount).toBe(1));
+
+        unscoped.dispose();
+        expect(unscoped.status.value).toBe('CLOSED');
+        expect(removeEventListener).toHaveBeenCalledWith('beforeunload', expect.any(Function), expect.anything());
+        await vi.waitFor(() => expect(stage.connectionCount).toBe(0));
+    });
+
+    it('should release only the caller\'s use of a shared connection with dispose', async () => {
+        const first = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        const second = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        await vi.waitFor(() => expect(first.result.status.value).toBe('OPEN'));
+
+        // Disposing again, or stopping the disposed caller's scope, does not release the other's use.
+        first.result.dispose();
+        first.result.dispose();
+        first.scope.stop();
+        expect(second.result.status.value).toBe('OPEN');
+        expect(useLiveUpdateConnections().connections.value).toHaveLength(1);
+
+        // Later calls share the same connection.
+        const third = inScope(() => useLiveUpdate('stage', { WebSocket: stage.WebSocket }));
+        expect(third.result.client).toBe(second.result.client);
+
+        // The last release closes it.
+        second.result.dispose();
+        expect(third.result.status.value).toBe('OPEN');
+        third.result.dispose();
+        expect(third.result.status.value).toBe('CLOSED');
+        await vi.waitFor(() => expect(stage.connectionCount).toBe(0));
+        expect(useLiveUpdateConnections().connections.value).toHaveLength(0);
+    });
+
+    it('should not allow one name for two directors', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        onTestFinished(() => vi.restoreAllMocks());
+
+        inScope(() => useLiveUpdate('stage', { name: 'main', WebSocket: stage.WebSocket }));
+        expect(() => inScope(() => useLiveUpdate('backup', { name: 'main', WebSocket: backup.WebSocket })))
+            .toThrow("A live update connection named 'main' already connects to ws://stage/api/session/liveupdate.");
+    });
+
+    it('should report the aggregate status of every connection', async () => {
+        const { result: connections } = inScope(() => {
+            useLiveUpdate('stage', { WebSocket: stage.WebSocket });
+            useLiveUpdate('backup', { name: 'Backup', WebSocket: backup.WebSocket, reconnect: false });
+            return useLiveUpdateConnections();
+        });
+        expect(connections.connections.value.map(({ name, url }) => ({ name, url }))).toEqual([
+            { name: 'stage', url: 'ws://stage/api/session/liveupdate' },
+            { name: 'Backup', url: 'ws://backup/api/session/liveupdate' },
+        ]);
+        expect(connections.status.value).toBe('CONNECTING');
+        await vi.waitFor(() => expect(connections.status.value).toBe('OPEN'));
+        expect(connections.connectionUserInfo.value).toBe('');
+
+        backup.disconnectAll();
+        expect(connections.status.value).toBe('CLOSED');
+        expect(connections.connectionUserInfo.value).toBe('Backup: Could not establish connection');
+
+        connections.reconnect();
+        await vi.waitFor(() => expect(connections.status.value).toBe('OPEN'));
+    });
+});
+
+describe('createLiveUpdatePlugin connections', () => {
+    beforeEach(() => {
+        stage = createMockLiveUpdateServer(objects);
+        backup = createMockLiveUpdateServer(objects);
+        onTestFinished(() => {
+            stage.close();
+            backup.close();
+        });
+    });
+
+    const offsetComponent = (name) => defineComponent({
+        setup() {
+            const liveUpdate = injectLiveUpdate(name);
+            const { offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+            return { liveUpdate, offset };
+        },
+        template: '<div>{{ offset?.x }}</div>',
+    });
+
+    it('should provide named connections', async () => {
+        stage.simulateChange('screen2:surface_1', 'object.offset', { x: 1 });
+        backup.simulateChange('screen2:surface_1', 'object.offset', { x: 2 });
+        const wrapper = mount(defineComponent({
+            components: { stageOffset: offsetComponent('stage'), backupOffset: offsetComponent('backup') },
+            template: '<div><stageOffset /> <backupOffset /></div>',
+        }), {
+            global: {
+                plugins: [createLiveUpdatePlugin({
+                    devtools: false,
+                    connections: {
+                        stage: { director: 'stage-director', WebSocket: stage.WebSocket },
+                        backup: { director: 'backup-director', WebSocket: backup.WebSocket },
+                    },
+                })],
+            },
+        });
+
+        await vi.waitFor(() => expect(wrapper.text()).toBe('1 2'));
+        expect(useLiveUpdateConnections().connections.value.map(({ name }) => name)).toEqual(['stage', 'backup']);
+
+        wrapper.unmount();
+        expect(stage.connectionCount).toBe(0);
+        expect(backup.connectionCount).toBe(0);
+    });
+
+    it('should throw a clear error for a connection which was not provided', () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        onTestFinished(() => vi.restoreAllMocks());
+
+        // The error is caught, so that the app mounts, and its connection is closed with it.
+        let error = null;
+        mount(defineComponent({
+            setup() {
+                try {
+                    injectLiveUpdate('stage');
+                } catch (err) {
+                    error = err;
+                }
+            },
+            template: '<div></div>',
+        }), {
+            global: { plugins: [createLiveUpdatePlugin({ director: 'stage', devtools: false, WebSocket: stage.WebSocket })] },
+        });
+        expect(error?.message).toBe("No live update connection named 'stage' was provided. Add it to the plugin's connections.");
+    });
+
+    it('should let LiveUpdateOverlay show the aggregate status', async () => {
+        const wrapper = mount(LiveUpdateOverlay, {
+            props: { all: true },
+            global: {
+                plugins: [createLiveUpdatePlugin({
+                    devtools: false,
+                    connections: {
+                        stage: { director: 'stage-director', WebSocket: stage.WebSocket },
+                        backup: { director: 'backup-director', WebSocket: backup.WebSocket, reconnect: false },
+                    },
+                })],
+            },
+        });
+
+        await vi.waitFor(() => expect(wrapper.find('.overlay').exists()).toBe(false));
+
+        backup.disconnectAll();
+        await vi.waitFor(() => expect(wrapper.find('.overlay').exists()).toBe(true));
+        expect(wrapper.find('.connection-user-info').text()).toBe('backup: Could not establish connection');
+    });
+});
@@ -25,7 +25,27 @@ export class MockWebSocket extends EventEmitter {
         {
             this.readyState = MockWebSocket.CONNECTING;
             this.connectedServer = getServerMapping(globalThis)[url];
-            this.connectedServer.connectClient(this);
+            if (this.connectedServer) {
+                this.connectedServer.connectClient(this);
+            } else {
+                // No server is listening, so fail the connection like a browser would.
+                this._connectTimeout = setTimeout(() => this._onConnectionFailed(), 0);
+            }
+        }
+    }
+
+    _onConnectionFailed() {
+        this.readyState = MockWebSocket.CLOSED;
+        this._onError();
+
+        const closeEvent = new CloseEvent('close', {
+            code: 1006,
+            reason: '',
+            wasClean: false
+        });
+        this.emit('close', closeEvent); // Emit 'close' event
+        if (this.onclose) {
+            this.onclose(closeEvent); // Call onclose if defined
         }
     }
 
@@ -118,4 +138,4 @@ MockWebSocket.CLOSING = 2;
 MockWebSocket.CLOSED = 3;
 
 // Patch the global WebSocket
-window.WebSocket = MockWebSocket;
+globalThis.WebSocket = MockWebSocket;
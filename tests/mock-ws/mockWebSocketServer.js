@@ -48,6 +48,14 @@ export class MockWebSocketServer extends EventEmitter {
         }, this.connectionDelay);
     }
 
+    // Simulates the server dropping every connected client
+    disconnectAll(code = 1006, reason = null) {
+        this.clients.splice(0).forEach(({ clientWeakRef, sendSocket }) => {
+            sendSocket.close();
+            clientWeakRef.close(code, reason);
+        });
+    }
+
     // Simulates a client disconnecting
     disconnectClient(client, code, reason) {
         const index = this.clients.findIndex(entry => entry.client === client);
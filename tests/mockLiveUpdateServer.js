@@ -2,9 +2,9 @@ import { get } from '@vueuse/core';
 import { EventEmitter } from 'events';
 import { MockWebSocketServer } from './mock-ws/mockWebSocketServer';
 
-export function createMockLiveUpdateServer(objects) {
+export function createMockLiveUpdateServer(objects, url = 'ws://localhost/api/session/liveupdate') {
     const mockServer = new MockWebSocketServer();
-    mockServer.bind('ws://localhost/api/session/liveupdate');
+    mockServer.bind(url);
     const eventEmitter = new EventEmitter(); // Create an event emitter
     let nextId = 0; // Start IDs from 0 and are global across connections
 
@@ -146,17 +146,17 @@ export function createMockLiveUpdateServer(objects) {
 
             if (parsed.unsubscribe) {
                 const { ids } = parsed.unsubscribe;
-                Object.keys(subscriptions).forEach((key) => {
-                    if (ids.includes(subscriptions[key].id)) {
-                        subscriptions[key].subscriptionCount--;
-                        if (subscriptions[key].subscriptionCount <= 0) {
-                            delete subscriptions[key];
-                        }
-                    }
-                    else {
+                ids.forEach((id) => {
+                    const key = Object.keys(subscriptions).find((key) => subscriptions[key].id === id);
+                    if (key === undefined) {
                         // Would be an error response in real server.
                         throw new Error(`Subscription with ID ${id} not found`);
                     }
+
+                    subscriptions[key].subscriptionCount--;
+                    if (subscriptions[key].subscriptionCount <= 0) {
+                        delete subscriptions[key];
+                    }
                 });
 
                 sendSubscriptions();
@@ -0,0 +1,93 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, afterEach, onTestFinished, vi } from 'vitest';
+import { effectScope } from 'vue';
+import WebSocket, { WebSocketServer } from 'ws';
+import { LiveUpdateClient } from '../src/client/LiveUpdateClient';
+import { useLiveUpdate } from '../src/composables/useLiveUpdate';
+
+let server;
+let director;
+
+// A minimal live update server on a real WebSocket, holding the properties of one object.
+function startLiveUpdateServer(objectPath, properties) {
+    const webSocketServer = new WebSocketServer({ port: 0, path: '/api/session/liveupdate' });
+    webSocketServer.on('connection', (socket) => {
+        const idToPropertyPath = [];
+        const send = (message) => socket.send(JSON.stringify(message));
+        const subscriptionList = () => idToPropertyPath.map((propertyPath, id) => ({ id, objectPath, propertyPath }));
+
+        socket.on('message', (data) => {
+            const message = JSON.parse(data);
+            if (message.subscribe) {
+                const ids = message.subscribe.properties.map((propertyPath) => {
+                    if (!idToPropertyPath.includes(propertyPath)) {
+                        idToPropertyPath.push(propertyPath);
+                    }
+                    return idToPropertyPath.indexOf(propertyPath);
+                });
+                send({ subscriptions: subscriptionList() });
+                send({ valuesChanged: ids.map((id) => ({ id, value: properties[idToPropertyPath[id]] })) });
+            }
+            if (message.unsubscribe) {
+                send({ subscriptions: subscriptionList() });
+            }
+            if (message.set) {
+                message.set.forEach(({ id, value }) => {
+                    const propertyPath = idToPropertyPath[id];
+                    properties[propertyPath] = { ...properties[propertyPath], ...value };
+                });
+                send({ valuesChanged: message.set.map(({ id }) => ({ id, value: properties[idToPropertyPath[id]] })) });
+            }
+        });
+    });
+    return new Promise((resolve) => webSocketServer.on('listening', () => resolve(webSocketServer)));
+}
+
+describe('WebSocket implementations in Node', () => {
+    beforeEach(async () => {
+        server = await startLiveUpdateServer('screen2:surface_1', {
+            'object.offset': { x: 0, y: 0, z: 0 },
+        });
+        director = `localhost:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        server.clients.forEach((socket) => socket.terminate());
+        await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should subscribe and set values with the client', async () => {
+        const client = new LiveUpdateClient(director, { WebSocket, heartbeat: false });
+        onTestFinished(() => client.close());
+        client.connect();
+
+        const surface = client.subscribe('screen2:surface_1', ['object.offset'], { writeIntervalMs: 0 });
+        await vi.waitFor(() => expect(client.getValue(surface.keys['object.offset'])).toEqual({ x: 0, y: 0, z: 0 }));
+
+        await surface.set('object.offset', { x: 3 });
+        expect(client.getValue(surface.keys['object.offset'])).toEqual({ x: 3, y: 0, z: 0 });
+    });
+
+    it('should subscribe and set values with useLiveUpdate', async () => {
+        const scope = effectScope();
+        onTestFinished(() => scope.stop());
+        const { liveUpdate, offset } = scope.run(() => {
+            const liveUpdate = useLiveUpdate(director, { createWebSocket: (url) => new WebSocket(url), heartbeat: false });
+            const { offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+            return { liveUpdate, offset };
+        });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        await liveUpdate.batch(() => {
+            offset.value = { y: 4 };
+        });
+        expect(offset.value).toEqual({ x: 0, y: 4, z: 0 });
+        expect(liveUpdate.status.value).toBe('OPEN');
+    });
+
+    it('should throw error for an invalid WebSocket option', () => {
+        expect(() => new LiveUpdateClient(director, { WebSocket: 'ws' })).toThrow("Invalid 'WebSocket' option: ws");
+        expect(() => new LiveUpdateClient(director, { WebSocket, createWebSocket: (url) => new WebSocket(url) }))
+            .toThrow("Only one of the 'WebSocket' and 'createWebSocket' options may be given.");
+    });
+});
@@ -1,2 +1,8 @@
+import { afterEach } from 'vitest';
+import { enableAutoUnmount } from '@vue/test-utils';
 import './mock-ws/mockWebSocket'; // Ensure MockWebSocket is patched globally
 // ...existing code or other test setup imports...
+
+// Live update connections are shared until every component using them is unmounted,
+// so components are unmounted after each test to keep tests independent.
+enableAutoUnmount(afterEach);
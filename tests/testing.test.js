@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, onTestFinished, vi } from 'vitest';
+import { defineComponent } from 'vue';
+import { LiveUpdateClient } from '../src/client/LiveUpdateClient';
+import { injectLiveUpdate } from '../src/plugin/liveUpdatePlugin';
+import { createMockLiveUpdateServer, mountWithLiveUpdate } from '../src/testing';
+
+const objects = {
+    'screen2:surface_1': {
+        offset: { x: 0, y: 0, z: 0 },
+        layers: [{ name: 'background' }],
+    },
+};
+
+let server;
+
+// Creates a client connected to the mock server, which is closed when the test finishes.
+function connectClient(config) {
+    const client = new LiveUpdateClient('localhost', { WebSocket: server.WebSocket, ...config });
+    onTestFinished(() => client.close());
+    client.connect();
+    return client;
+}
+
+describe('createMockLiveUpdateServer', () => {
+    beforeEach(() => {
+        server = createMockLiveUpdateServer(objects);
+        onTestFinished(() => server.close());
+    });
+
+    it('should serve values from the object tree, and send changes', async () => {
+        const client = connectClient();
+        const { keys } = client.subscribe('screen2:surface_1', ['object.offset', 'object.offset.x', 'object.layers[0].name']);
+        await vi.waitFor(() => expect(client.getValue(keys['object.layers[0].name'])).toBe('background'));
+        expect(client.getValue(keys['object.offset'])).toEqual({ x: 0, y: 0, z: 0 });
+        expect(server.connectionCount).toBe(1);
+
+        // A change to a nested property is also a change to the properties which contain it.
+        server.simulateChange('screen2:surface_1', 'object.offset.x', 5);
+        await vi.waitFor(() => expect(client.getValue(keys['object.offset'])).toEqual({ x: 5, y: 0, z: 0 }));
+        expect(client.getValue(keys['object.offset.x'])).toBe(5);
+
+        // The seed objects are copied, so they can be shared between tests.
+        expect(objects['screen2:surface_1'].offset.x).toBe(0);
+    });
+
+    it('should answer unknown properties with an error', async () => {
+        const client = connectClient();
+        const { keys } = client.subscribe('screen2:surface_1', ['object.scale']);
+        await vi.waitFor(() => expect(client.getState(keys['object.scale'])).toEqual({
+            state: 'failed',
+            error: "propertyPath 'object.scale' not found",
+        }));
+    });
+
+    it('should apply writes, or reject them when asked to', async () => {
+        const client = connectClient();
+        const subscription = client.subscribe('screen2:surface_1', ['object.offset'], { writeIntervalMs: 0, writeTimeoutMs: 100 });
+        await vi.waitFor(() => expect(client.getValue(subscription.keys['object.offset'])).toBeDefined());
+
+        await subscription.set('object.offset', { y: 2 });
+        expect(server.getValue('screen2:surface_1', 'object.offset')).toEqual({ x: 0, y: 2, z: 0 });
+        expect(server.received.at(-1)).toEqual({ set: [{ id: 0, value: { y: 2 } }] });
+
+        server.rejectWrites('Property is read only');
+        await expect(subscription.set('object.offset', { y: 3 })).rejects.toThrow();
+        expect(server.getValue('screen2:surface_1', 'object.offset')).toEqual({ x: 0, y: 2, z: 0 });
+
+        server.rejectWrites(null);
+        await subscription.set('object.offset', { y: 4 });
+        expect(server.getValue('screen2:surface_1', 'object.offset')).toEqual({ x: 0, y: 4, z: 0 });
+    });
+
+    it('should send changes no more often than the update frequency', async () => {
+        const client = connectClient();
+        const values = [];
+        client.on('value', ({ value }) => values.push(value));
+        client.subscribe('screen2:surface_1', ['object.offset.x'], { updateFrequencyMs: 50 });
+        await vi.waitFor(() => expect(values).toEqual([0]));
+        await new Promise((resolve) => setTimeout(resolve, 60));
+
+        // The first change is sent at once, and the rest wait for the update frequency.
+        for (let x = 1; x <= 5; x++) {
+            server.simulateChange('screen2:surface_1', 'object.offset.x', x);
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(values).toEqual([0, 1]);
+
+        // Only the latest value is sent.
+        await vi.waitFor(() => expect(values).toEqual([0, 1, 5]));
+    });
+
+    it('should delay messages by the injected latency', async () => {
+        server.setLatency(50);
+        const client = connectClient();
+        const openedAt = Date.now();
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+        expect(Date.now() - openedAt).toBeGreaterThanOrEqual(45);
+
+        const { keys } = client.subscribe('screen2:surface_1', ['object.offset']);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        expect(client.getValue(keys['object.offset'])).toBeUndefined();
+        await vi.waitFor(() => expect(client.getValue(keys['object.offset'])).toBeDefined());
+    });
+
+    it('should inject errors and disconnects', async () => {
+        const client = connectClient({ reconnect: { initialDelayMs: 10, jitter: 0 } });
+        const errors = [];
+        client.on('error', (error) => errors.push(error));
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+
+        server.sendError('Session is shutting down');
+        await vi.waitFor(() => expect(errors).toEqual(['Session is shutting down']));
+
+        server.refuseConnections();
+        server.disconnectAll(1011);
+        expect(client.status).toBe('CLOSED');
+        expect(client.connectionInfo).toBe('Internal error');
+        await vi.waitFor(() => expect(client.reconnectAttempts).toBeGreaterThan(1));
+        expect(server.connectionCount).toBe(0);
+
+        server.refuseConnections(false);
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+    });
+
+    it('should stop answering when unresponsive', async () => {
+        const client = connectClient({ heartbeat: { intervalMs: 20, timeoutMs: 50 }, reconnect: { initialDelayMs: 10, jitter: 0 } });
+        await vi.waitFor(() => expect(client.status).toBe('OPEN'));
+
+        server.stopResponding();
+        await vi.waitFor(() => expect(client.connectionInfo).toBe('Not responding'));
+        server.stopResponding(false);
+        await vi.waitFor(() => expect(client.health.responding).toBe(true));
+    });
+});
+
+describe('mountWithLiveUpdate', () => {
+    const offsetComponent = defineComponent({
+        setup() {
+            const { offset } = injectLiveUpdate().autoSubscribe('screen2:surface_1', ['object.offset']);
+            return { offset };
+        },
+        template: '<div>{{ offset?.x }}</div>',
+    });
+
+    it('should mount a component connected to a mock server', async () => {
+        const { wrapper, server, liveUpdate } = mountWithLiveUpdate(offsetComponent, { objects });
+        onTestFinished(() => wrapper.unmount());
+
+        await vi.waitFor(() => expect(wrapper.text()).toBe('0'));
+        expect(liveUpdate.status.value).toBe('OPEN');
+
+        server.simulateChange('screen2:surface_1', 'object.offset', { x: 7 });
+        await vi.waitFor(() => expect(wrapper.text()).toBe('7'));
+
+        wrapper.unmount();
+        expect(liveUpdate.status.value).toBe('CLOSED');
+        expect(server.connectionCount).toBe(0);
+    });
+
+    it('should connect each mount to its own mock server, while both are mounted', async () => {
+        const first = mountWithLiveUpdate(offsetComponent, { objects: { 'screen2:surface_1': { offset: { x: 1 } } } });
+        const second = mountWithLiveUpdate(offsetComponent, { objects: { 'screen2:surface_1': { offset: { x: 2 } } } });
+        onTestFinished(() => {
+            first.server.close();
+            second.server.close();
+        });
+
+        await vi.waitFor(() => expect(second.wrapper.text()).toBe('2'));
+        expect(first.wrapper.text()).toBe('1');
+        expect(first.server.connectionCount).toBe(1);
+        expect(second.server.connectionCount).toBe(1);
+        expect(second.liveUpdate.client).not.toBe(first.liveUpdate.client);
+    });
+
+    it('should connect to a given server, with plugin options', async () => {
+        const sharedServer = createMockLiveUpdateServer(objects, { updateFrequencyMs: 10 });
+        const { wrapper, server, liveUpdate } = mountWithLiveUpdate(offsetComponent, {
+            server: sharedServer,
+            liveUpdate: { director: 'director.local', staleAfterMs: 1000 },
+            props: {},
+        });
+        onTestFinished(() => wrapper.unmount());
+
+        expect(server).toBe(sharedServer);
+        expect(liveUpdate.debugInfo.url).toBe('ws://director.local/api/session/liveupdate');
+        await vi.waitFor(() => expect(wrapper.text()).toBe('0'));
+    });
+});
@@ -1,6 +1,6 @@
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, onTestFinished, vi } from 'vitest';
 import { mount } from '@vue/test-utils';
-import { defineComponent, ComputedGetter } from 'vue';
+import { defineComponent, effectScope, nextTick, ref, ComputedGetter } from 'vue';
 import { useLiveUpdate } from '../src/composables/useLiveUpdate';
 import { createMockLiveUpdateServer } from './mockLiveUpdateServer';
 
@@ -249,6 +249,219 @@ describe('useLiveUpdate', () => {
         await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
     });
 
+    it('should send one subscribe message per property however many components subscribe', async () => {
+        const subscribeMessages = [];
+        const unsubscribeMessages = [];
+        const originalSend = WebSocket.prototype.send;
+
+        // Capture every subscribe and unsubscribe message sent to the server.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            const parsed = JSON.parse(message);
+            if (parsed.subscribe) {
+                subscribeMessages.push(parsed.subscribe);
+            }
+            if (parsed.unsubscribe) {
+                unsubscribeMessages.push(parsed.unsubscribe);
+            }
+            return originalSend.call(this, message);
+        });
+
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+
+        const offsetWrappers = [];
+        for (let i = 0; i < 10; i++) {
+            offsetWrappers.push(mount(autoSubscriberComponent('screen2:surface_1', ['object.offset']), { props: {
+                liveUpdate
+            }}));
+        }
+
+        await vi.waitFor(() => offsetWrappers.forEach((wrapper) => expect(wrapper.vm.offset).toEqual({ x: 0, y: 0, z: 0 })));
+        expect(subscribeMessages).toEqual([{ object: 'screen2:surface_1', properties: ['object.offset'] }]);
+
+        // Releasing all but the last consumer does not touch the server.
+        offsetWrappers.slice(0, 9).forEach((wrapper) => wrapper.unmount());
+        expect(unsubscribeMessages).toEqual([]);
+
+        offsetWrappers[9].unmount();
+        expect(unsubscribeMessages).toEqual([{ ids: [0] }]);
+        await vi.waitFor(() => expect(liveUpdate.debugInfo.subscriptions.value).toEqual([]));
+
+        WebSocket.prototype.send = originalSend;
+    });
+
+    it('should keep frozen state local to the consumer that froze it', async () => {
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        let frozenOffset, liveOffset;
+        mount(defineComponent({
+            setup() {
+                ({ offset: frozenOffset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+                ({ offset: liveOffset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+                return {};
+            },
+            template: '<div></div>',
+        }));
+
+        await vi.waitFor(() => expect(liveOffset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        frozenOffset.freeze();
+        expect(frozenOffset.state.value).toBe('frozen');
+        expect(liveOffset.state.value).toBe('active');
+
+        // The other consumer still needs the subscription.
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(subscriptions.value).toEqual([
+            {
+                id: 0,
+                objectPath: 'screen2:surface_1',
+                propertyPath: 'object.offset',
+            }
+        ]);
+
+        mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 10 });
+
+        await vi.waitFor(() => expect(liveOffset.value).toEqual({ x: 10, y: 0, z: 0 }));
+        expect(frozenOffset.value).toEqual({ x: 0, y: 0, z: 0 });
+
+        // Thawing rejoins the existing subscription.
+        frozenOffset.thaw();
+        expect(frozenOffset.value).toEqual({ x: 10, y: 0, z: 0 });
+
+        // Freezing the last consumer unsubscribes on the server.
+        frozenOffset.freeze();
+        liveOffset.freeze();
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
+    });
+
+    it('should unsubscribe when the effect scope it was made in is stopped', async () => {
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        const warn = vi.spyOn(console, 'warn');
+        const scope = effectScope();
+        const { offset } = scope.run(() => liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+        expect(warn).not.toHaveBeenCalled();
+        warn.mockRestore();
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+        expect(subscriptions.value.length).toBe(1);
+
+        scope.stop();
+
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
+    });
+
+    it('should allow subscriptions to be unsubscribed by hand', async () => {
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        // Outside of any component or scope, as in a long-lived service.
+        const values = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.rotation']);
+
+        // The handle does not appear among the subscription values.
+        expect(Object.keys(values)).toEqual(['offset', 'rotation']);
+
+        await vi.waitFor(() => expect(values.offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+        expect(subscriptions.value.length).toBe(2);
+
+        values.unsubscribe();
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
+
+        // Disposing again, or thawing afterwards, does nothing.
+        values.dispose();
+        values.offset.thaw();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(subscriptions.value).toEqual([]);
+    });
+
+    it('should not release a shared property again when frozen after being unsubscribed', async () => {
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        const first = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        const second = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']);
+        onTestFinished(() => second.dispose());
+        await vi.waitFor(() => expect(second.offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        first.dispose();
+        first.offset.freeze();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(second.offset.value).toEqual({ x: 0, y: 0, z: 0 });
+        expect(second.offset.state.value).toBe('active');
+        expect(subscriptions.value.length).toBe(1);
+    });
+
+    it('should resubscribe when a reactive object path changes', async () => {
+        mockServer.stop();
+        mockServer = createMockLiveUpdateServer({
+            'screen2:surface_1': {
+                offset: { x: 1, y: 0, z: 0 },
+            },
+            'screen2:surface_2': {
+                offset: { x: 2, y: 0, z: 0 },
+            },
+        });
+
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        const surface = ref('screen2:surface_1');
+        const values = liveUpdate.autoSubscribe(surface, ['object.offset']);
+        const { offset } = values;
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 1, y: 0, z: 0 }));
+
+        surface.value = 'screen2:surface_2';
+
+        // The same ref now follows the new object, and the old object is unsubscribed.
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([
+            {
+                id: 1,
+                objectPath: 'screen2:surface_2',
+                propertyPath: 'object.offset',
+            }
+        ]));
+
+        offset.value = { y: 5 };
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(offset.value).toEqual({ x: 2, y: 5, z: 0 });
+
+        // No object selected.
+        surface.value = null;
+        await nextTick();
+        expect(offset.value).toBeUndefined();
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
+
+        values.unsubscribe();
+    });
+
+    it('should resubscribe when a reactive property map changes', async () => {
+        const liveUpdateWrapper = mount(liveUpdateComponent);
+        const liveUpdate = liveUpdateWrapper.vm.liveUpdate;
+        const subscriptions = liveUpdate.debugInfo.subscriptions;
+
+        const property = ref('offset');
+        const values = liveUpdate.subscribe('screen2:surface_1', () => ({ transform: `object.${property.value}` }));
+
+        await vi.waitFor(() => expect(subscriptions.value.map(({ propertyPath }) => propertyPath)).toEqual(['object.offset']));
+
+        property.value = 'scale';
+
+        await vi.waitFor(() => expect(subscriptions.value.map(({ propertyPath }) => propertyPath)).toEqual(['object.scale']));
+        await vi.waitFor(() => expect(values.transform.value).toEqual({ x: 1, y: 1, z: 1 }));
+
+        values.unsubscribe();
+        await vi.waitFor(() => expect(subscriptions.value).toEqual([]));
+    });
+
     it('should freeze and thaw subscriptions correctly', async () => {
         const wrapper = mount(
             defineComponent({
@@ -317,6 +530,385 @@ describe('useLiveUpdate', () => {
         await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 10, y: 20, z: 0 }));
     });
 
+    it('should track the lifecycle state of each subscribed property', async () => {
+        let offset, missing;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    ({ offset, missing } = liveUpdate.subscribe('screen2:surface_1', {
+                        offset: 'object.offset',
+                        missing: 'object.missing',
+                    }));
+
+                    expect(offset.state.value).toBe('pending');
+                    expect(offset.error.value).toBeNull();
+
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+        expect(offset.error.value).toBeNull();
+
+        // The server reports an error for the missing property, which is matched to the requested path.
+        await vi.waitFor(() => expect(missing.state.value).toBe('failed'));
+        expect(missing.error.value).toBe("propertyPath 'object.missing' not found");
+        expect(missing.value).toBeUndefined();
+
+        offset.freeze();
+        expect(offset.state.value).toBe('frozen');
+
+        offset.thaw();
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+    });
+
+    it('should return subscriptions to pending while disconnected', async () => {
+        let offset;
+        const wrapper = mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', { reconnect: { initialDelayMs: 10, jitter: 0 } });
+                    ({ offset } = liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' }));
+
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+
+        mockServer.disconnectAll();
+        expect(offset.state.value).toBe('pending');
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+
+        wrapper.unmount();
+    });
+
+    it('should resolve ready once every subscribed property has its first value', async () => {
+        const AsyncOffset = defineComponent({
+            async setup() {
+                const liveUpdate = useLiveUpdate('localhost');
+                const subscription = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.scale']);
+                expect(subscription.offset.value).toBeUndefined();
+
+                const { offset, scale } = await subscription.ready;
+                expect(offset).toBe(subscription.offset);
+                expect(scale.value).toEqual({ x: 1, y: 1, z: 1 });
+                return { offset };
+            },
+            template: '<div>{{ offset.x }}</div>',
+        });
+        const wrapper = mount(defineComponent({
+            components: { AsyncOffset },
+            template: '<Suspense><AsyncOffset /><template #fallback>Loading</template></Suspense>',
+        }));
+
+        expect(wrapper.text()).toBe('Loading');
+        await vi.waitFor(() => expect(wrapper.text()).toBe('0'));
+    });
+
+    it('should reject ready when a property fails, times out or is unsubscribed', async () => {
+        const originalSend = WebSocket.prototype.send;
+        onTestFinished(() => {
+            WebSocket.prototype.send = originalSend;
+        });
+
+        const scope = effectScope();
+        onTestFinished(() => scope.stop());
+        const liveUpdate = scope.run(() => useLiveUpdate('localhost'));
+
+        const missing = liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset', missing: 'object.missing' });
+        await expect(missing.ready).rejects.toThrow("Could not subscribe to 'missing': propertyPath 'object.missing' not found");
+
+        const unsubscribed = liveUpdate.subscribe('screen2:surface_1', { rotation: 'object.rotation' });
+        const ready = unsubscribed.ready;
+        unsubscribed.unsubscribe();
+        await expect(ready).rejects.toThrow('Unsubscribed before every value was received.');
+
+        // Drop every subscribe message, so the values never arrive.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            if (JSON.parse(message).subscribe) {
+                return;
+            }
+            return originalSend.call(this, message);
+        });
+        const unanswered = liveUpdate.subscribe('screen2:surface_2', { scale: 'object.scale' }, { readyTimeoutMs: 50 });
+        await expect(unanswered.ready).rejects.toThrow("Timed out after 50ms waiting for the first value of 'scale'.");
+    });
+
+    it('should show written values immediately and confirm them from the server', async () => {
+        let offset;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    ({ offset } = liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' }));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+        expect(offset.pending.value).toBe(false);
+
+        // A partial write is merged into the current value, as the server does.
+        offset.value = { x: 3 };
+        expect(offset.value).toEqual({ x: 3, y: 0, z: 0 });
+
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(offset.value).toEqual({ x: 3, y: 0, z: 0 });
+    });
+
+    it('should roll back written values which the server does not confirm', async () => {
+        const originalSend = WebSocket.prototype.send;
+
+        // Drop every set message, so the server never echoes the written value.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            if (JSON.parse(message).set) {
+                return;
+            }
+            return originalSend.call(this, message);
+        });
+
+        let offset;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    ({ offset } = liveUpdate.subscribe(
+                        'screen2:surface_1',
+                        { offset: 'object.offset' },
+                        { writeTimeoutMs: 50 }
+                    ));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        offset.value = { x: 3, y: 4, z: 5 };
+        expect(offset.value).toEqual({ x: 3, y: 4, z: 5 });
+        expect(offset.pending.value).toBe(true);
+
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(offset.value).toEqual({ x: 0, y: 0, z: 0 });
+        expect(warn).toHaveBeenCalled();
+
+        warn.mockRestore();
+        WebSocket.prototype.send = originalSend;
+    });
+
+    it('should queue writes made before the subscription is established', async () => {
+        let offset;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    ({ offset } = liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' }));
+
+                    // The subscription id is not known yet.
+                    offset.value = { x: 7, y: 8, z: 9 };
+                    expect(offset.value).toEqual({ x: 7, y: 8, z: 9 });
+                    expect(offset.pending.value).toBe(true);
+
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+        expect(offset.value).toEqual({ x: 7, y: 8, z: 9 });
+
+        // The value reached the server, and is what it now reports.
+        mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 1 });
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 1, y: 8, z: 9 }));
+    });
+
+    it('should coalesce writes into a single set message', async () => {
+        const setMessages = [];
+        const originalSend = WebSocket.prototype.send;
+
+        // Capture every set message sent to the server.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            const parsed = JSON.parse(message);
+            if (parsed.set) {
+                setMessages.push(parsed.set);
+            }
+            return originalSend.call(this, message);
+        });
+
+        let offset, rotation;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    ({ offset, rotation } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.rotation']));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+        await vi.waitFor(() => expect(rotation.state.value).toBe('active'));
+
+        // Several writes to several properties in the same tick.
+        offset.value = { x: 1 };
+        offset.value = { x: 2 };
+        offset.value = { x: 3 };
+        rotation.value = { y: 90 };
+
+        expect(setMessages).toEqual([]);
+
+        await vi.waitFor(() => expect(setMessages.length).toBe(1));
+        expect(setMessages[0]).toEqual([
+            { id: 0, value: { x: 3 } },
+            { id: 1, value: { y: 90 } },
+        ]);
+        await vi.waitFor(() => expect(offset.value).toEqual({ x: 3, y: 0, z: 0 }));
+
+        WebSocket.prototype.send = originalSend;
+    });
+
+    it('should rate limit writes to the configured interval', async () => {
+        const setMessages = [];
+        const originalSend = WebSocket.prototype.send;
+
+        // Capture every set message sent to the server.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            const parsed = JSON.parse(message);
+            if (parsed.set) {
+                setMessages.push(parsed.set);
+            }
+            return originalSend.call(this, message);
+        });
+
+        let offset;
+        mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', { writeIntervalMs: 1000 });
+                    ({ offset } = liveUpdate.subscribe(
+                        'screen2:surface_1',
+                        { offset: 'object.offset' },
+                        { writeIntervalMs: 50 }
+                    ));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+
+        offset.value = { x: 1 };
+        await new Promise(resolve => setTimeout(resolve, 20));
+        offset.value = { x: 2 };
+
+        // Nothing is sent until the interval has passed, and then only the latest value.
+        expect(setMessages).toEqual([]);
+        await vi.waitFor(() => expect(setMessages).toEqual([[{ id: 0, value: { x: 2 } }]]));
+
+        WebSocket.prototype.send = originalSend;
+    });
+
+    it('should send writes made in a batch as one set message', async () => {
+        const setMessages = [];
+        const originalSend = WebSocket.prototype.send;
+
+        // Capture every set message sent to the server.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            const parsed = JSON.parse(message);
+            if (parsed.set) {
+                setMessages.push(parsed.set);
+            }
+            return originalSend.call(this, message);
+        });
+
+        let liveUpdate, offset, rotation, scale;
+        mount(
+            defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost', { writeIntervalMs: 1000 });
+                    ({ offset, rotation, scale } = liveUpdate.autoSubscribe(
+                        'screen2:surface_1',
+                        ['object.offset', 'object.rotation', 'object.scale']
+                    ));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(scale.state.value).toBe('active'));
+
+        const result = liveUpdate.batch(() => {
+            offset.value = { x: 1 };
+            rotation.value = { z: 45 };
+            scale.value = { x: 2, y: 2 };
+        });
+
+        // Sent straight away, rather than waiting for the write interval.
+        expect(setMessages).toEqual([[
+            { id: 0, value: { x: 1 } },
+            { id: 1, value: { z: 45 } },
+            { id: 2, value: { x: 2, y: 2 } },
+        ]]);
+
+        await expect(result).resolves.toBeUndefined();
+        expect(offset.pending.value).toBe(false);
+        expect(scale.value).toEqual({ x: 2, y: 2, z: 1 });
+
+        WebSocket.prototype.send = originalSend;
+    });
+
+    it('should reject a batch when a write is rolled back', async () => {
+        const originalSend = WebSocket.prototype.send;
+
+        // Drop every set message, so the server never echoes the written values.
+        WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+            if (JSON.parse(message).set) {
+                return;
+            }
+            return originalSend.call(this, message);
+        });
+
+        let liveUpdate, offset;
+        mount(
+            defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost', { writeTimeoutMs: 50 });
+                    ({ offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const result = liveUpdate.batch(() => {
+            offset.value = { x: 1 };
+        });
+
+        await expect(result).rejects.toThrow("Batch write failed: Write to 'screen2:surface_1/object.offset' was not confirmed");
+        expect(offset.value).toEqual({ x: 0, y: 0, z: 0 });
+
+        warn.mockRestore();
+        WebSocket.prototype.send = originalSend;
+    });
+
     it('should include configuration in subscription message when provided', async () => {
         let receivedMessage = null;
         const originalSend = WebSocket.prototype.send;
@@ -622,4 +1214,705 @@ describe('useLiveUpdate', () => {
             })
         );
     });
+
+    it('should reconnect automatically and resubscribe when the connection drops', async () => {
+        const wrapper = mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', { reconnect: { initialDelayMs: 10, jitter: 0 } });
+                    const { offset } = liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' });
+
+                    return { liveUpdate, offset };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        const liveUpdate = wrapper.vm.liveUpdate;
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 0, y: 0, z: 0 }));
+
+        mockServer.disconnectAll();
+
+        expect(liveUpdate.status.value).toBe('CLOSED');
+        expect(liveUpdate.reconnectAttempts.value).toBe(1);
+        expect(liveUpdate.nextReconnectAt.value).toBeGreaterThan(0);
+
+        await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+        expect(liveUpdate.reconnectAttempts.value).toBe(0);
+        expect(liveUpdate.nextReconnectAt.value).toBeNull();
+
+        // The subscription is re-established on the new connection (with a new ID).
+        await vi.waitFor(() => expect(liveUpdate.debugInfo.subscriptions.value).toEqual([
+            {
+                id: 1,
+                objectPath: 'screen2:surface_1',
+                propertyPath: 'object.offset',
+            }
+        ]));
+
+        mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 5 });
+        await vi.waitFor(() => expect(wrapper.vm.offset).toEqual({ x: 5, y: 0, z: 0 }));
+
+        wrapper.unmount();
+    });
+
+    it('should stop reconnecting after the maximum number of attempts', async () => {
+        const wrapper = mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', { reconnect: { initialDelayMs: 5, maxAttempts: 2 } });
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        const liveUpdate = wrapper.vm.liveUpdate;
+        await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+
+        // Nothing is listening any more, so every attempt fails.
+        mockServer.disconnectAll();
+        mockServer.stop();
+
+        await vi.waitFor(() => expect(liveUpdate.reconnectAttempts.value).toBe(2));
+        await vi.waitFor(() => expect(liveUpdate.nextReconnectAt.value).toBeNull());
+
+        // Allow time for a further attempt that should never happen.
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(liveUpdate.reconnectAttempts.value).toBe(2);
+        expect(liveUpdate.status.value).toBe('CLOSED');
+        expect(liveUpdate.connectionUserInfo.value).toBe('Could not establish connection');
+
+        wrapper.unmount();
+    });
+
+    it('should not reconnect when reconnection is disabled', async () => {
+        const wrapper = mount(
+            defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', { reconnect: false });
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            })
+        );
+
+        const liveUpdate = wrapper.vm.liveUpdate;
+        await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+
+        mockServer.disconnectAll();
+
+        expect(liveUpdate.status.value).toBe('CLOSED');
+        expect(liveUpdate.reconnectAttempts.value).toBe(0);
+        expect(liveUpdate.nextReconnectAt.value).toBeNull();
+
+        wrapper.unmount();
+    });
+
+    describe('codecs', () => {
+        beforeEach(() => {
+            mockServer.stop();
+            mockServer = createMockLiveUpdateServer({
+                'screen2:surface_1': {
+                    offset: { x: 1, y: 2, z: 3 },
+                    colour: { r: 1, g: 0.5, b: 0, a: 1 },
+                    brightness: 0.5,
+                },
+            });
+        });
+
+        function mountSurface(propertyMap, configuration) {
+            let values;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost');
+                    values = liveUpdate.subscribe('screen2:surface_1', propertyMap, configuration);
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+            return values;
+        }
+
+        it('should decode values with built-in codecs, and encode written values', async () => {
+            const { offset, colour } = mountSurface(
+                { offset: 'object.offset', colour: 'object.colour' },
+                { codecs: { colour: 'colorHex', offset: 'vec2' } }
+            );
+
+            await vi.waitFor(() => expect(colour.value).toBe('#ff8000'));
+            expect(offset.value).toEqual({ x: 1, y: 2 });
+
+            colour.value = '#0000ff';
+            expect(colour.value).toBe('#0000ff');
+            await vi.waitFor(() => expect(colour.pending.value).toBe(false));
+            expect(colour.value).toBe('#0000ff');
+
+            offset.value = { x: 5 };
+            await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+            expect(offset.value).toEqual({ x: 5, y: 2 });
+        });
+
+        it('should use custom codecs', async () => {
+            const percent = {
+                decode: (value) => value * 100,
+                encode: (value) => value / 100,
+            };
+            const { brightness } = mountSurface({ brightness: 'object.brightness' }, { codecs: { brightness: percent } });
+
+            await vi.waitFor(() => expect(brightness.value).toBe(50));
+
+            const setMessages = [];
+            const originalSend = WebSocket.prototype.send;
+            WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+                const parsed = JSON.parse(message);
+                if (parsed.set) {
+                    setMessages.push(parsed.set);
+                }
+                return originalSend.call(this, message);
+            });
+            onTestFinished(() => {
+                WebSocket.prototype.send = originalSend;
+            });
+
+            brightness.value = 75;
+            await vi.waitFor(() => expect(brightness.pending.value).toBe(false));
+            expect(brightness.value).toBe(75);
+            expect(setMessages).toEqual([[{ id: 0, value: 0.75 }]]);
+        });
+
+        it('should throw error for unknown or invalid codecs', () => {
+            const scope = effectScope();
+            scope.run(() => {
+                const liveUpdate = useLiveUpdate('localhost');
+                expect(() => {
+                    liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' }, { codecs: { offset: 'vec4' } });
+                }).toThrow("Unknown codec 'vec4' for 'offset'");
+                expect(() => {
+                    liveUpdate.subscribe('screen2:surface_1', { offset: 'object.offset' }, { codecs: { offset: { decode: (value) => value } } });
+                }).toThrow("Invalid codec for 'offset'");
+            });
+            scope.stop();
+        });
+
+        it('should not accept codecs in the global configuration', () => {
+            expect(() => {
+                useLiveUpdate('localhost', { codecs: { offset: 'vec3' } });
+            }).toThrow('Invalid configuration keys: codecs');
+        });
+    });
+
+    describe('subscribeMany', () => {
+        beforeEach(() => {
+            mockServer.stop();
+            mockServer = createMockLiveUpdateServer({
+                'screen2': {
+                    surfaces: ['screen2:surface_1', 'screen2:surface_2'],
+                },
+                'screen2:surface_1': {
+                    offset: { x: 1, y: 0, z: 0 },
+                },
+                'screen2:surface_2': {
+                    offset: { x: 2, y: 0, z: 0 },
+                },
+                'screen2:surface_3': {
+                    offset: { x: 3, y: 0, z: 0 },
+                },
+            });
+        });
+
+        function mountMany(objectPaths) {
+            let liveUpdate, surfaces;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost');
+                    surfaces = liveUpdate.subscribeMany(objectPaths, { offset: 'object.offset' });
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+            return { liveUpdate, surfaces, wrapper };
+        }
+
+        function subscribedKeys(liveUpdate) {
+            return liveUpdate.debugInfo.subscriptions.value.map(({ objectPath, propertyPath }) => `${objectPath}/${propertyPath}`).sort();
+        }
+
+        it('should subscribe to each object in a reactive list, following its changes', async () => {
+            const objectPaths = ref(['screen2:surface_1', 'screen2:surface_2']);
+            const { liveUpdate, surfaces } = mountMany(objectPaths);
+
+            expect(Object.keys(surfaces)).toEqual(['screen2:surface_1', 'screen2:surface_2']);
+            await vi.waitFor(() => expect(surfaces['screen2:surface_2']?.offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+            expect(surfaces['screen2:surface_1'].offset.value).toEqual({ x: 1, y: 0, z: 0 });
+
+            const surface1 = surfaces['screen2:surface_1'];
+            objectPaths.value = ['screen2:surface_1', 'screen2:surface_3'];
+            await nextTick();
+
+            expect(Object.keys(surfaces)).toEqual(['screen2:surface_1', 'screen2:surface_3']);
+            // Objects which stay in the list keep their subscriptions.
+            expect(surfaces['screen2:surface_1']).toBe(surface1);
+            await vi.waitFor(() => expect(surfaces['screen2:surface_3'].offset.value).toEqual({ x: 3, y: 0, z: 0 }));
+            await vi.waitFor(() => expect(subscribedKeys(liveUpdate)).toEqual([
+                'screen2:surface_1/object.offset',
+                'screen2:surface_3/object.offset',
+            ]));
+        });
+
+        it('should expand an array property into its objects', async () => {
+            const { liveUpdate, surfaces } = mountMany({ objectPath: 'screen2', propertyPath: 'object.surfaces' });
+
+            await vi.waitFor(() => expect(Object.keys(surfaces)).toEqual(['screen2:surface_1', 'screen2:surface_2']));
+            await vi.waitFor(() => expect(surfaces['screen2:surface_2'].offset.value).toEqual({ x: 2, y: 0, z: 0 }));
+
+            mockServer.simulateChange('screen2', 'object.surfaces', ['screen2:surface_3']);
+            await vi.waitFor(() => expect(Object.keys(surfaces)).toEqual(['screen2:surface_3']));
+            await vi.waitFor(() => expect(surfaces['screen2:surface_3'].offset.value).toEqual({ x: 3, y: 0, z: 0 }));
+            await vi.waitFor(() => expect(subscribedKeys(liveUpdate)).toEqual([
+                'screen2/object.surfaces',
+                'screen2:surface_3/object.offset',
+            ]));
+        });
+
+        it('should unsubscribe from every object when unsubscribed', async () => {
+            const { liveUpdate, surfaces } = mountMany(['screen2:surface_1', 'screen2:surface_2']);
+            await vi.waitFor(() => expect(subscribedKeys(liveUpdate)).toHaveLength(2));
+
+            surfaces.unsubscribe();
+
+            expect(Object.keys(surfaces)).toEqual([]);
+            await vi.waitFor(() => expect(subscribedKeys(liveUpdate)).toEqual([]));
+        });
+
+        it('should throw error for an invalid pattern', () => {
+            const scope = effectScope();
+            scope.run(() => {
+                const liveUpdate = useLiveUpdate('localhost');
+                expect(() => {
+                    liveUpdate.subscribeMany({ objectPath: 'screen2' }, { offset: 'object.offset' });
+                }).toThrow('subscribeMany expects a list of object paths, or a pattern with an objectPath and propertyPath.');
+            });
+            scope.stop();
+        });
+    });
+
+    describe('deep mode', () => {
+        beforeEach(() => {
+            mockServer.stop();
+            mockServer = createMockLiveUpdateServer({
+                'screen2:surface_1': {
+                    offset: { x: 0, y: 0, z: 0 },
+                    transform: { position: { x: 0, y: 0 }, tags: ['a'] },
+                    points: [1, 2, 3],
+                },
+            });
+        });
+
+        function mountSurface(configuration) {
+            const setMessages = [];
+            const originalSend = WebSocket.prototype.send;
+            WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+                const parsed = JSON.parse(message);
+                if (parsed.set) {
+                    setMessages.push(parsed.set);
+                }
+                return originalSend.call(this, message);
+            });
+            onTestFinished(() => {
+                WebSocket.prototype.send = originalSend;
+            });
+
+            let values;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate('localhost', configuration);
+                    values = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset', 'object.transform', 'object.points']);
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+            return { ...values, setMessages };
+        }
+
+        it('should send nested property changes as partial sets', async () => {
+            const { offset, setMessages } = mountSurface({ deep: true });
+            await vi.waitFor(() => expect(offset.value).toEqual({ x: 0, y: 0, z: 0 }));
+
+            offset.value.x = 3;
+            expect(offset.value).toEqual({ x: 3, y: 0, z: 0 });
+            expect(offset.pending.value).toBe(true);
+
+            await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+            expect(setMessages).toEqual([[{ id: 0, value: { x: 3 } }]]);
+            expect(offset.value).toEqual({ x: 3, y: 0, z: 0 });
+        });
+
+        it('should send the whole top level property for deeper changes', async () => {
+            const { transform, setMessages } = mountSurface({ deep: true });
+            await vi.waitFor(() => expect(transform.value).toBeDefined());
+
+            transform.value.position.x = 5;
+            transform.value.tags.push('b');
+            expect(transform.value).toEqual({ position: { x: 5, y: 0 }, tags: ['a', 'b'] });
+
+            await vi.waitFor(() => expect(transform.pending.value).toBe(false));
+            // Both changes are coalesced into one write.
+            expect(setMessages).toEqual([[{ id: 1, value: { position: { x: 5, y: 0 }, tags: ['a', 'b'] } }]]);
+            expect(transform.value).toEqual({ position: { x: 5, y: 0 }, tags: ['a', 'b'] });
+        });
+
+        it('should send arrays whole', async () => {
+            const { points, setMessages } = mountSurface({ deep: true });
+            await vi.waitFor(() => expect(points.value).toEqual([1, 2, 3]));
+
+            points.value[1] = 5;
+            points.value.pop();
+            expect(points.value).toEqual([1, 5]);
+
+            await vi.waitFor(() => expect(points.pending.value).toBe(false));
+            expect(setMessages).toEqual([[{ id: 2, value: [1, 5] }]]);
+        });
+
+        it('should not delete top level properties of objects', async () => {
+            const { offset, setMessages } = mountSurface({ deep: true });
+            await vi.waitFor(() => expect(offset.value).toBeDefined());
+
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            delete offset.value.x;
+            expect(warn).toHaveBeenCalledWith("Cannot delete 'x' from 'offset', as partial writes can only set properties.");
+            warn.mockRestore();
+
+            expect(offset.value).toEqual({ x: 0, y: 0, z: 0 });
+            expect(offset.pending.value).toBe(false);
+            expect(setMessages).toEqual([]);
+        });
+
+        it('should combine partial writes made before they are sent', async () => {
+            const { offset, setMessages } = mountSurface();
+            await vi.waitFor(() => expect(offset.value).toBeDefined());
+
+            offset.value = { x: 1 };
+            offset.value = { y: 2 };
+            expect(offset.value).toEqual({ x: 1, y: 2, z: 0 });
+
+            await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+            expect(setMessages).toEqual([[{ id: 0, value: { x: 1, y: 2 } }]]);
+            expect(offset.value).toEqual({ x: 1, y: 2, z: 0 });
+        });
+    });
+
+    describe('staleness', () => {
+        async function mountOffset(config, subscriptionConfig) {
+            let liveUpdate, offset;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost', config);
+                    ({ offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset'], subscriptionConfig));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+
+            await vi.waitFor(() => expect(offset.lastUpdated.value).not.toBeNull());
+            return { liveUpdate, offset };
+        }
+
+        it('should record when each value was last received', async () => {
+            const before = Date.now();
+            const { offset } = await mountOffset();
+
+            const firstUpdate = offset.lastUpdated.value;
+            expect(firstUpdate).toBeGreaterThanOrEqual(before);
+            expect(offset.isStale.value).toBe(false);
+
+            await new Promise(resolve => setTimeout(resolve, 5));
+            mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 10 });
+            await vi.waitFor(() => expect(offset.lastUpdated.value).toBeGreaterThan(firstUpdate));
+
+            // Frozen values keep the time of the value they show.
+            offset.freeze();
+            const frozenUpdate = offset.lastUpdated.value;
+            mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 20 });
+            expect(offset.lastUpdated.value).toBe(frozenUpdate);
+        });
+
+        it('should mark values stale when no update arrives within staleAfterMs', async () => {
+            const { offset } = await mountOffset({ staleAfterMs: 100 });
+
+            expect(offset.isStale.value).toBe(false);
+            await vi.waitFor(() => expect(offset.isStale.value).toBe(true));
+
+            mockServer.simulateChange('screen2:surface_1', 'object.offset', { x: 10 });
+            await vi.waitFor(() => expect(offset.isStale.value).toBe(false));
+        });
+
+        it('should use the subscription staleAfterMs over the global default', async () => {
+            const { offset } = await mountOffset({ staleAfterMs: 10000 }, { staleAfterMs: 100 });
+
+            await vi.waitFor(() => expect(offset.isStale.value).toBe(true));
+        });
+
+        it('should mark values stale while the connection is lost', async () => {
+            const { liveUpdate, offset } = await mountOffset({ reconnect: false });
+
+            const lastUpdated = offset.lastUpdated.value;
+            mockServer.disconnectAll();
+
+            expect(liveUpdate.status.value).toBe('CLOSED');
+            expect(offset.isStale.value).toBe(true);
+            expect(offset.lastUpdated.value).toBe(lastUpdated);
+        });
+
+        it('should warn when staleAfterMs is no longer than updateFrequencyMs', () => {
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const scope = effectScope();
+            scope.run(() => {
+                const liveUpdate = useLiveUpdate('localhost');
+                liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset'], { updateFrequencyMs: 500, staleAfterMs: 500 });
+            });
+            scope.stop();
+
+            expect(warn).toHaveBeenCalledWith('staleAfterMs (500ms) should be longer than updateFrequencyMs (500ms), or values will be stale between updates.');
+            warn.mockRestore();
+        });
+    });
+
+    describe('offline writes', () => {
+        // Mounts a live update connection which reconnects shortly after the connection drops,
+        // subscribed to the offset, and capturing every set message sent to the server.
+        async function mountOffset(config) {
+            const setMessages = [];
+            const originalSend = WebSocket.prototype.send;
+            WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+                const parsed = JSON.parse(message);
+                if (parsed.set) {
+                    setMessages.push(parsed.set);
+                }
+                return originalSend.call(this, message);
+            });
+            onTestFinished(() => {
+                WebSocket.prototype.send = originalSend;
+            });
+
+            let liveUpdate, offset;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost', { reconnect: { initialDelayMs: 50, jitter: 0 }, ...config });
+                    ({ offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+
+            await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+            return { liveUpdate, offset, setMessages };
+        }
+
+        it('should send the latest value written while disconnected once reconnected', async () => {
+            const { liveUpdate, offset, setMessages } = await mountOffset();
+
+            mockServer.disconnectAll();
+
+            offset.value = { x: 1 };
+            offset.value = { x: 2 };
+            expect(offset.value).toEqual({ x: 2, y: 0, z: 0 });
+            expect(offset.pending.value).toBe(true);
+            expect(liveUpdate.offlineQueueLength.value).toBe(1);
+            expect(setMessages).toEqual([]);
+
+            await vi.waitFor(() => expect(liveUpdate.offlineQueueLength.value).toBe(0));
+            await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+
+            // Sent with the new subscription id.
+            expect(setMessages).toEqual([[{ id: 1, value: { x: 2 } }]]);
+            expect(offset.value).toEqual({ x: 2, y: 0, z: 0 });
+        });
+
+        it('should replay every value written while disconnected in order', async () => {
+            const { liveUpdate, offset, setMessages } = await mountOffset({ offlineWrites: 'all' });
+
+            mockServer.disconnectAll();
+
+            offset.value = { x: 1 };
+            offset.value = { x: 2 };
+            offset.value = { x: 3 };
+            expect(liveUpdate.offlineQueueLength.value).toBe(3);
+
+            await vi.waitFor(() => expect(offset.pending.value).toBe(false));
+            expect(liveUpdate.offlineQueueLength.value).toBe(0);
+            expect(setMessages).toEqual([
+                [{ id: 1, value: { x: 1 } }],
+                [{ id: 1, value: { x: 2 } }],
+                [{ id: 1, value: { x: 3 } }],
+            ]);
+        });
+
+        it('should drop values written while disconnected', async () => {
+            const { liveUpdate, offset, setMessages } = await mountOffset({ offlineWrites: 'drop' });
+
+            mockServer.disconnectAll();
+
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            offset.value = { x: 1 };
+            expect(warn).toHaveBeenCalledWith("Live Update is not connected, dropping write to 'screen2:surface_1/object.offset'.");
+            warn.mockRestore();
+
+            expect(offset.value).toEqual({ x: 0, y: 0, z: 0 });
+            expect(offset.pending.value).toBe(false);
+            expect(liveUpdate.offlineQueueLength.value).toBe(0);
+
+            await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(setMessages).toEqual([]);
+        });
+
+        it('should throw error for an invalid offline write policy', () => {
+            expect(() => {
+                useLiveUpdate('localhost', { offlineWrites: 'keep' });
+            }).toThrow('Invalid offlineWrites policy: keep');
+        });
+    });
+
+    describe('connection health', () => {
+        async function mountOffset(config) {
+            let liveUpdate, offset;
+            const wrapper = mount(defineComponent({
+                setup() {
+                    liveUpdate = useLiveUpdate('localhost', config);
+                    ({ offset } = liveUpdate.autoSubscribe('screen2:surface_1', ['object.offset']));
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+            onTestFinished(() => wrapper.unmount());
+
+            await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+            return { liveUpdate, offset };
+        }
+
+        it('should count messages and bytes, and measure the heartbeat latency', async () => {
+            const { liveUpdate } = await mountOffset({ heartbeat: { intervalMs: 20 } });
+
+            await vi.waitFor(() => expect(liveUpdate.health.latencyMs).not.toBeNull());
+            expect(liveUpdate.health.latencyMs).toBeGreaterThanOrEqual(0);
+            expect(liveUpdate.health.responding).toBe(true);
+            // The subscribe, and at least one heartbeat
+            expect(liveUpdate.health.messagesOut).toBeGreaterThanOrEqual(2);
+            expect(liveUpdate.health.bytesOut).toBeGreaterThan(liveUpdate.health.messagesOut);
+            // The subscription list, the values, and at least one heartbeat reply
+            expect(liveUpdate.health.messagesIn).toBeGreaterThanOrEqual(3);
+            expect(liveUpdate.health.bytesIn).toBeGreaterThan(liveUpdate.health.messagesIn);
+            expect(liveUpdate.health.lastMessageAt).toBeLessThanOrEqual(Date.now());
+        });
+
+        it('should report message and byte rates', async () => {
+            const { liveUpdate } = await mountOffset({ heartbeat: { intervalMs: 50 } });
+
+            await vi.waitFor(() => expect(liveUpdate.health.messagesOutPerSecond).toBeGreaterThan(0), { timeout: 2500 });
+            expect(liveUpdate.health.messagesInPerSecond).toBeGreaterThan(0);
+            expect(liveUpdate.health.bytesOutPerSecond).toBeGreaterThan(liveUpdate.health.messagesOutPerSecond);
+            expect(liveUpdate.health.bytesInPerSecond).toBeGreaterThan(liveUpdate.health.messagesInPerSecond);
+        });
+
+        it('should reconnect when the server stops responding', async () => {
+            const { liveUpdate, offset } = await mountOffset({
+                heartbeat: { intervalMs: 20, timeoutMs: 50 },
+                reconnect: { initialDelayMs: 50, jitter: 0 }
+            });
+
+            // The server never sees the heartbeats, so stays silent.
+            const originalSend = WebSocket.prototype.send;
+            WebSocket.prototype.send = vi.fn().mockImplementation(function(message) {
+                if (message === JSON.stringify({ unsubscribe: { ids: [] } })) return;
+                return originalSend.call(this, message);
+            });
+            onTestFinished(() => {
+                WebSocket.prototype.send = originalSend;
+            });
+            const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+            onTestFinished(() => warn.mockRestore());
+
+            await vi.waitFor(() => expect(warn).toHaveBeenCalledWith('Live Update server has not responded for 50ms, reconnecting.'));
+            expect(liveUpdate.status.value).toBe('CLOSED');
+            expect(liveUpdate.connectionUserInfo.value).toBe('Not responding');
+            expect(liveUpdate.health.responding).toBe(false);
+            expect(liveUpdate.reconnectAttempts.value).toBe(1);
+
+            WebSocket.prototype.send = originalSend;
+            await vi.waitFor(() => expect(liveUpdate.status.value).toBe('OPEN'));
+            await vi.waitFor(() => expect(offset.state.value).toBe('active'));
+            expect(liveUpdate.health.responding).toBe(true);
+        });
+
+        it('should throw error for invalid heartbeat configuration keys', () => {
+            expect(() => {
+                useLiveUpdate('localhost', { heartbeat: { interval: 1000 } });
+            }).toThrow('Invalid heartbeat configuration keys: interval');
+        });
+    });
+
+    it('should throw error for invalid reconnect configuration keys', () => {
+        expect(() => {
+            useLiveUpdate('localhost', { reconnect: { delay: 100 } });
+        }).toThrow('Invalid reconnect configuration keys: delay');
+    });
+
+    describe('endpoint URL', () => {
+        // Mounts a live update connection to the given director, with a mock server bound to the expected URL.
+        async function expectConnection(director, config, expectedUrl) {
+            const server = createMockLiveUpdateServer({}, expectedUrl);
+            const wrapper = mount(defineComponent({
+                setup() {
+                    const liveUpdate = useLiveUpdate(director, config);
+                    return { liveUpdate };
+                },
+                template: '<div></div>',
+            }));
+
+            await vi.waitFor(() => expect(wrapper.vm.liveUpdate.status.value).toBe('OPEN'));
+
+            wrapper.unmount();
+            server.stop();
+        }
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should use wss when secure is set', async () => {
+            await expectConnection('localhost:8080', { secure: true }, 'wss://localhost:8080/api/session/liveupdate');
+        });
+
+        it('should detect wss from the page protocol', async () => {
+            vi.stubGlobal('location', { protocol: 'https:' });
+            await expectConnection('localhost', {}, 'wss://localhost/api/session/liveupdate');
+        });
+
+        it('should allow the path to be overridden', async () => {
+            await expectConnection('localhost', { path: '/proxy/liveupdate' }, 'ws://localhost/proxy/liveupdate');
+        });
+
+        it('should accept a full URL as the director', async () => {
+            await expectConnection('wss://proxy.example:9443/designer/liveupdate', {}, 'wss://proxy.example:9443/designer/liveupdate');
+            await expectConnection('https://proxy.example', {}, 'wss://proxy.example/api/session/liveupdate');
+        });
+
+        it('should throw a useful error for an invalid director', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(() => useLiveUpdate('localhost/api')).toThrow("Invalid director 'localhost/api'. Expected host, host:port, or a ws:// or wss:// URL.");
+            expect(() => useLiveUpdate('ftp://localhost')).toThrow("Invalid director URL 'ftp://localhost'. Expected a ws, wss, http or https URL.");
+            expect(() => useLiveUpdate('localhost', { secure: 'yes' })).toThrow("Invalid 'secure' option: yes. Expected true, false or 'auto'.");
+            expect(() => useLiveUpdate('localhost', { path: 'api' })).toThrow("Invalid 'path' option: api. Expected a path starting with '/'.");
+
+            vi.restoreAllMocks();
+        });
+    });
 });
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi } from 'vitest';
+import { colorHex, colorRgba, rotationRadians, transform, vec2, vec3 } from '../src/codecs/valueCodecs';
+
+describe('valueCodecs', () => {
+    it('should decode vectors from objects and arrays', () => {
+        expect(vec3.decode({ x: 1, y: 2, z: 3 })).toEqual({ x: 1, y: 2, z: 3 });
+        expect(vec3.decode([1, 2, 3])).toEqual({ x: 1, y: 2, z: 3 });
+        expect(vec2.decode({ x: 1, y: 2, z: 3 })).toEqual({ x: 1, y: 2 });
+    });
+
+    it('should encode vectors in the shape of the current value', () => {
+        expect(vec3.encode({ x: 4 }, { x: 1, y: 2, z: 3 })).toEqual({ x: 4 });
+        expect(vec3.encode({ x: 4 }, [1, 2, 3])).toEqual([4, 2, 3]);
+        expect(vec3.encode([4, 5, 6], { x: 1, y: 2, z: 3 })).toEqual({ x: 4, y: 5, z: 6 });
+        expect(vec2.encode({ x: 4, y: 5 }, [1, 2])).toEqual([4, 5]);
+    });
+
+    it('should convert rotations between degrees and radians', () => {
+        expect(rotationRadians.decode({ x: 0, y: 90, z: 180 })).toEqual({ x: 0, y: Math.PI / 2, z: Math.PI });
+        expect(rotationRadians.decode([0, -90, 0])).toEqual({ x: 0, y: -Math.PI / 2, z: 0 });
+
+        expect(rotationRadians.encode({ y: Math.PI / 2 }, { x: 0, y: 0, z: 0 })).toEqual({ y: 90 });
+        expect(rotationRadians.encode({ z: Math.PI }, [10, 20, 30])).toEqual([10, 20, 180]);
+    });
+
+    it('should decode transforms, and encode only the given parts', () => {
+        const current = { offset: [1, 2, 3], rotation: { x: 0, y: 0, z: 0 }, scale: { x: 1, y: 1, z: 1 } };
+        expect(transform.decode(current)).toEqual({
+            offset: { x: 1, y: 2, z: 3 },
+            rotation: { x: 0, y: 0, z: 0 },
+            scale: { x: 1, y: 1, z: 1 }
+        });
+
+        expect(transform.encode({ offset: { x: 4 }, rotation: { y: 90 } }, current)).toEqual({ offset: [4, 2, 3], rotation: { y: 90 } });
+    });
+
+    it('should convert colours to and from hex', () => {
+        expect(colorHex.decode({ r: 1, g: 0.5, b: 0, a: 1 })).toBe('#ff8000');
+        expect(colorHex.decode([0, 0, 1, 0.5])).toBe('#0000ff80');
+        expect(colorHex.decode([0, 1, 0])).toBe('#00ff00');
+
+        expect(colorHex.encode('#0000ff', { r: 1, g: 1, b: 1, a: 1 })).toEqual({ r: 0, g: 0, b: 1, a: 1 });
+        expect(colorHex.encode('#f00', [0, 0, 0])).toEqual([1, 0, 0]);
+        expect(colorHex.encode('ff000080', [0, 0, 0, 1])).toEqual([1, 0, 0, 128 / 255]);
+    });
+
+    it('should convert colours to and from rgba', () => {
+        expect(colorRgba.decode({ r: 1, g: 0.5, b: 0, a: 0.25 })).toBe('rgba(255, 128, 0, 0.25)');
+        expect(colorRgba.encode('rgba(0, 0, 255, 0.5)', { r: 0, g: 0, b: 0, a: 1 })).toEqual({ r: 0, g: 0, b: 1, a: 0.5 });
+        expect(colorRgba.encode('rgb(255, 0, 0)', [0, 0, 0])).toEqual([1, 0, 0]);
+    });
+
+    it('should throw error for invalid colours', () => {
+        const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+        expect(() => colorHex.encode('red', [0, 0, 0])).toThrow("'red' is not a valid hex colour.");
+        expect(() => colorRgba.encode('#ff0000', [0, 0, 0])).toThrow("'#ff0000' is not a valid rgba colour.");
+        error.mockRestore();
+    });
+});